@@ -1,316 +1,437 @@
 // app.js
 const express = require('express');
-const { Pool } = require('pg');
-const axios = require('axios');
 const dotenv = require('dotenv');
 const fs = require('fs').promises;
-const path = require('path');
-const Jimp = require('jimp');
+const db = require('./db');
+const {
+  CACHE_DIR,
+  parseImageOptions,
+  getImagePath,
+  invalidateImageCache
+} = require('./utils/summaryImage');
+const {
+  startRefreshJob,
+  getRefreshJob,
+  listRefreshJobs,
+  formatRefreshJob,
+  startRefreshScheduler
+} = require('./utils/refreshJobs');
+const { ConversionError, convert, convertBatch } = require('./utils/currencyConverter');
+const { parseCountryListQuery, projectFields } = require('./utils/countryQuery');
+const HttpError = require('./utils/httpError');
+const {
+  authenticate,
+  requireRole,
+  requireReadAccess,
+  refreshRateLimit
+} = require('./utils/auth');
+const { auditRequest } = require('./utils/auditLog');
+const { regionStats, currencyStats } = require('./utils/countryStats');
+const { attachCurrencies } = require('./utils/countryCurrencies');
+const { resolveExportFormat, streamCountryExport } = require('./utils/countryExport');
+const { listChanges } = require('./utils/changeDetection');
+const { parseOverrideBody, updateCountryOverrides } = require('./utils/countryOverrides');
+const { startWebhookWorker } = require('./utils/webhooks');
+const { runReadinessChecks } = require('./utils/healthChecks');
+const { toNumberOrNull } = require('./utils/values');
+const adminRoutes = require('./routes/admin');
+const webhookRoutes = require('./routes/webhooks');
 
 dotenv.config();
 
 const app = express();
 app.use(express.json());
+app.use(authenticate);
 
 // ========================================
-// DATABASE CONNECTION
+// CACHE SETUP
 // ========================================
-let pool;
-
-try {
-  if (!process.env.DATABASE_URL) {
-    throw new Error('DATABASE_URL is not set. Set it to the external connection string from Railway.');
-  }
-
-  pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: {
-      rejectUnauthorized: false
-    },
-    connectionTimeoutMillis: 5000,
-    max: 10
-  });
-
-  console.log('PostgreSQL pool created');
-} catch (err) {
-  console.error('DB Pool Error:', err.message);
-  process.exit(1);
-}
-
-// Test connection
 (async () => {
   try {
-    const client = await pool.connect();
-    console.log('Connected to PostgreSQL');
-    client.release();
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    console.log('Cache directory ensured:', CACHE_DIR);
   } catch (err) {
-    console.error('DB connection failed:', err.message);
+    console.error('Cache dir error:', err);
   }
 })();
 
 // ========================================
-// DATABASE INITIALIZATION
-// ========================================
-async function initDB() {
-  const sql = `
-    CREATE TABLE IF NOT EXISTS countries (
-      id SERIAL PRIMARY KEY,
-      name TEXT NOT NULL,
-      name_lower TEXT GENERATED ALWAYS AS (LOWER(name)) STORED,
-      capital TEXT,
-      region TEXT,
-      population BIGINT NOT NULL,
-      currency_code TEXT,
-      exchange_rate NUMERIC(15,4),
-      estimated_gdp NUMERIC(20,2),
-      flag_url TEXT,
-      last_refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      CONSTRAINT unique_name_lower UNIQUE (name_lower)
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_region ON countries(region);
-    CREATE INDEX IF NOT EXISTS idx_currency ON countries(currency_code);
-    CREATE INDEX IF NOT EXISTS idx_gdp ON countries(estimated_gdp DESC NULLS LAST);
-  `;
+// HELPERS
+// ========================================
+// Parses an optional ISO date query param; returns undefined when absent, null when invalid
+const parseDateParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Builds an RFC 8288 Link header with next/prev pages for limit/offset listings
+const paginationLinks = (req, total, limit, offset) => {
+  const pageUrl = (pageOffset) => {
+    const params = new URLSearchParams(req.query);
+    params.set('limit', String(limit));
+    params.set('offset', String(pageOffset));
+    return `<${req.path}?${params.toString()}>`;
+  };
+
+  const links = [];
+  if (offset + limit < total) links.push(`${pageUrl(offset + limit)}; rel="next"`);
+  if (offset > 0) links.push(`${pageUrl(Math.max(offset - limit, 0))}; rel="prev"`);
+  return links.join(', ');
+};
 
+// ========================================
+// POST /countries/refresh
+// ========================================
+app.post('/countries/refresh', requireRole('operator'), refreshRateLimit, async (req, res) => {
   try {
-    await pool.query(sql);
-    console.log('Table and indexes ready');
+    const { job, runningJobId } = await startRefreshJob('manual');
+    if (!job) {
+      return res.status(409).json({
+        error: 'A refresh is already in progress',
+        job_id: runningJobId
+      });
+    }
+    await auditRequest(req, 'refresh.start', job.id, { trigger: 'manual' });
+
+    res.status(202)
+      .location(`/refresh-jobs/${job.id}`)
+      .json({ message: 'Refresh started', job_id: job.id, status_url: `/refresh-jobs/${job.id}` });
   } catch (err) {
-    console.error('DB Init Error:', err.message);
+    console.error('Refresh start failed:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
-}
+});
 
-initDB();
+// ========================================
+// GET /refresh-jobs
+// ========================================
+app.get('/refresh-jobs', requireReadAccess, async (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit);
+  if (isNaN(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+  }
+
+  try {
+    const jobs = await listRefreshJobs(limit);
+    res.json(jobs.map(formatRefreshJob));
+  } catch (err) {
+    console.error('GET /refresh-jobs error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 // ========================================
-// CACHE SETUP
+// GET /refresh-jobs/:id
 // ========================================
-const CACHE_DIR = path.join(__dirname, 'cache');
-const IMAGE_PATH = path.join(CACHE_DIR, 'summary.png');
+app.get('/refresh-jobs/:id', requireReadAccess, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ error: 'Job id must be a positive integer' });
+  }
 
-(async () => {
   try {
-    await fs.mkdir(CACHE_DIR, { recursive: true });
-    console.log('Cache directory ensured:', CACHE_DIR);
+    const job = await getRefreshJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Refresh job not found' });
+    }
+    res.json(formatRefreshJob(job));
   } catch (err) {
-    console.error('Cache dir error:', err);
+    console.error('GET /refresh-jobs/:id error:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
-})();
+});
 
 // ========================================
-// HELPERS
+// GET /countries
 // ========================================
-const getRandomMultiplier = () => Math.random() * 1000 + 1000;
+app.get('/countries', requireReadAccess, async (req, res) => {
+  try {
+    const format = resolveExportFormat(req);
+    const listQuery = parseCountryListQuery(req.query);
+    if (format !== 'json') return await streamCountryExport(res, format, listQuery);
+
+    const { filters, fields, limit, offset } = listQuery;
+    const [countries, total] = await Promise.all([
+      db.countries.list(listQuery),
+      db.countries.count(filters)
+    ]);
+
+    const rows = !fields || fields.includes('currencies')
+      ? await attachCurrencies(countries)
+      : countries;
+
+    // Body stays a plain array for existing clients; paging info travels in headers
+    res.set('X-Total-Count', String(total));
+    if (limit !== null) {
+      res.set('X-Limit', String(limit));
+      res.set('X-Offset', String(offset));
+      const links = paginationLinks(req, total, limit, offset);
+      if (links) res.set('Link', links);
+    }
+    res.json(projectFields(rows, fields));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+    console.error('GET /countries error:', err);
+    // A failed export may already be streaming; all we can do then is cut it off
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 // ========================================
-// POST /countries/refresh
+// GET /countries/image
 // ========================================
-app.post('/countries/refresh', async (req, res) => {
-  let countriesData, ratesData;
+// Registered before /countries/:name so "image" isn't taken for a country name
+app.get('/countries/image', requireReadAccess, async (req, res) => {
+  try {
+    const options = parseImageOptions(req.query);
+    res.sendFile(await getImagePath(options));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+    console.error('GET /countries/image error:', err);
+    res.status(500).json({ error: 'Image generation failed' });
+  }
+});
 
+// ========================================
+// GET /countries/deleted
+// ========================================
+// Also registered before /countries/:name
+app.get('/countries/deleted', requireRole('admin'), async (req, res) => {
   try {
-    const resp = await axios.get(
-      'https://restcountries.com/v2/all?fields=name,capital,region,population,flag,currencies',
-      { timeout: 10000 }
-    );
-    countriesData = resp.data;
+    const countries = await attachCurrencies(await db.countries.listDeleted());
+    res.json({ count: countries.length, countries });
   } catch (err) {
-    return res.status(503).json({
-      error: 'External data source unavailable',
-      details: 'Could not fetch data from countries API'
-    });
+    console.error('GET /countries/deleted error:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
+// ========================================
+// GET /countries/:name
+// ========================================
+app.get('/countries/:name', requireReadAccess, async (req, res) => {
   try {
-    const resp = await axios.get('https://open.er-api.com/v6/latest/USD', { timeout: 10000 });
-    if (!resp.data.rates) throw new Error('Invalid rates');
-    ratesData = resp.data.rates;
+    const found = await db.countries.findByName(req.params.name);
+    if (!found) {
+      return res.status(404).json({ error: 'Country not found' });
+
+    }
+    const [country] = await attachCurrencies([found]);
+    res.json(country);
   } catch (err) {
-    return res.status(503).json({
-      error: 'External data source unavailable',
-      details: 'Could not fetch data from exchange rates API'
-    });
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  const now = new Date();
+// ========================================
+// GET /countries/:name/history
+// ========================================
+app.get('/countries/:name/history', requireReadAccess, async (req, res) => {
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'from and to must be valid ISO 8601 dates' });
+  }
+  if (from && to && from > to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
 
   try {
-    for (const country of countriesData) {
-      const { name, capital, region, population, flag, currencies } = country;
-      if (!name || population == null) continue;
-
-      let currency_code = null;
-      let exchange_rate = null;
-      let estimated_gdp = null;
-
-      if (currencies && Array.isArray(currencies) && currencies.length > 0) {
-        currency_code = currencies[0].code || null;
-        if (currency_code && ratesData[currency_code]) {
-          exchange_rate = parseFloat(ratesData[currency_code]);
-          estimated_gdp = (population * getRandomMultiplier()) / exchange_rate;
-        }
-      } else {
-        estimated_gdp = 0;
-      }
-
-      await pool.query(
-        `
-        INSERT INTO countries (
-          name, capital, region, population, currency_code,
-          exchange_rate, estimated_gdp, flag_url, last_refreshed_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        ON CONFLICT (name_lower) DO UPDATE SET
-          capital = EXCLUDED.capital,
-          region = EXCLUDED.region,
-          population = EXCLUDED.population,
-          currency_code = EXCLUDED.currency_code,
-          exchange_rate = EXCLUDED.exchange_rate,
-          estimated_gdp = EXCLUDED.estimated_gdp,
-          flag_url = EXCLUDED.flag_url,
-          last_refreshed_at = EXCLUDED.last_refreshed_at
-        `,
-        [
-          name, capital || null, region || null, population,
-          currency_code, exchange_rate, estimated_gdp, flag || null, now
-        ]
-      );
+    const history = await db.snapshots.countryHistory(req.params.name, { from, to });
+    if (history.length === 0 && !(await db.countries.findByName(req.params.name))) {
+      return res.status(404).json({ error: 'Country not found' });
     }
 
-    await generateSummaryImage(now.toISOString());
-    return res.json({ message: 'Refresh completed successfully' });
+    res.json({
+      country: history.length ? history[history.length - 1].name : req.params.name,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      count: history.length,
+      history: history.map(row => ({
+        refresh_run_id: row.refresh_run_id,
+        recorded_at: new Date(row.recorded_at).toISOString(),
+        population: toNumberOrNull(row.population),
+        currency_code: row.currency_code,
+        exchange_rate: toNumberOrNull(row.exchange_rate),
+        estimated_gdp: toNumberOrNull(row.estimated_gdp),
+        gdp_method: row.gdp_method
+      }))
+    });
   } catch (err) {
-    console.error('Refresh failed:', err);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.error('GET /countries/:name/history error:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // ========================================
-// IMAGE GENERATION (FIXED)
+// GET /currencies/:code/history
 // ========================================
-async function generateSummaryImage(timestamp) {
+app.get('/currencies/:code/history', requireReadAccess, async (req, res) => {
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'from and to must be valid ISO 8601 dates' });
+  }
+  if (from && to && from > to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+
+  const code = req.params.code.toUpperCase();
   try {
-    const totalRes = await pool.query('SELECT COUNT(*) AS total FROM countries');
-    const total = totalRes.rows[0].total;
-
-    const topRes = await pool.query(`
-      SELECT name, estimated_gdp
-      FROM countries
-      WHERE estimated_gdp IS NOT NULL
-      ORDER BY estimated_gdp::NUMERIC DESC
-      LIMIT 5
-    `);
-
-    const image = new Jimp(800, 600, 0xffffffff);
-    const fontLarge = await Jimp.loadFont(Jimp.FONT_SANS_64_BLACK);
-    const fontMedium = await Jimp.loadFont(Jimp.FONT_SANS_32_BLACK);
-    const fontSmall = await Jimp.loadFont(Jimp.FONT_SANS_16_BLACK);
-
-    let y = 40;
-    image.print(fontLarge, 50, y, 'Country Summary');
-    y += 90;
-    image.print(fontMedium, 50, y, `Total: ${total}`);
-    y += 60;
-    image.print(fontMedium, 50, y, `Refreshed: ${new Date(timestamp).toUTCString()}`);
-    y += 80;
-    image.print(fontMedium, 50, y, 'Top 5 by Est. GDP:');
-    y += 60;
-
-    topRes.rows.forEach((row, i) => {
-      const gdp = row.estimated_gdp != null
-        ? Number(row.estimated_gdp).toLocaleString('en-US', { maximumFractionDigits: 0 })
-        : 'N/A';
-      image.print(fontSmall, 70, y, `${i + 1}. ${row.name}: $${gdp}`);
-      y += 40;
+    const history = await db.snapshots.currencyHistory(code, { from, to });
+    if (history.length === 0 && !from && !to) {
+      return res.status(404).json({ error: 'No exchange rate history for currency' });
+    }
+
+    res.json({
+      currency_code: code,
+      base: 'USD',
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      count: history.length,
+      history: history.map(row => ({
+        refresh_run_id: row.refresh_run_id,
+        recorded_at: new Date(row.recorded_at).toISOString(),
+        exchange_rate: toNumberOrNull(row.exchange_rate),
+        countries: parseInt(row.countries)
+      }))
     });
+  } catch (err) {
+    console.error('GET /currencies/:code/history error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    await fs.mkdir(CACHE_DIR, { recursive: true });
-    await image.writeAsync(IMAGE_PATH);
-    console.log('Summary image saved:', IMAGE_PATH);
+// ========================================
+// GET /convert
+// ========================================
+app.get('/convert', requireReadAccess, async (req, res) => {
+  const { from, to, amount } = req.query;
+  if (!from || !to) {
+    return res.status(400).json({ error: 'from and to query parameters are required' });
+  }
+
+  try {
+    res.json(await convert({ from, to, amount }));
   } catch (err) {
-    console.error('Image generation failed:', err.message);
+    if (err instanceof ConversionError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('GET /convert error:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
-}
+});
 
 // ========================================
-// GET /countries
+// POST /convert (batch)
 // ========================================
-app.get('/countries', async (req, res) => {
-  const { region, currency, sort } = req.query;
-  let query = 'SELECT * FROM countries';
-  const where = [];
-  const params = [];
-  let idx = 1;
-
-  if (region) { where.push(`region = $${idx++}`); params.push(region); }
-  if (currency) { where.push(`currency_code = $${idx++}`); params.push(currency); }
-  if (where.length) query += ' WHERE ' + where.join(' AND ');
-
-  if (sort === 'gdp_desc') {
-    query += ' ORDER BY estimated_gdp::NUMERIC DESC NULLS LAST';
-  } else {
-    query += ' ORDER BY name ASC';
+const MAX_BATCH_CONVERSIONS = 100;
+
+app.post('/convert', requireReadAccess, async (req, res) => {
+  const items = Array.isArray(req.body) ? req.body : req.body && req.body.conversions;
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      error: 'Body must be a non-empty array of { from, to, amount } or { conversions: [...] }'
+    });
+  }
+  if (items.length > MAX_BATCH_CONVERSIONS) {
+    return res.status(400).json({ error: `At most ${MAX_BATCH_CONVERSIONS} conversions per request` });
   }
 
   try {
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    const results = await convertBatch(items);
+    res.json({
+      count: results.length,
+      failed: results.filter(result => result.error).length,
+      results
+    });
   } catch (err) {
-    console.error('GET /countries error:', err);
+    console.error('POST /convert error:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // ========================================
-// GET /countries/:name
+// GET /stats/regions
 // ========================================
-app.get('/countries/:name', async (req, res) => {
+app.get('/stats/regions', requireReadAccess, async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT * FROM countries WHERE name_lower = LOWER($1)',
-      [req.params.name]
-    );
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Country not found' });
+    const data = await regionStats(req.query);
+    res.json({ count: data.length, data });
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+    console.error('GET /stats/regions error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    }
-    res.json(result.rows[0]);
+// ========================================
+// GET /stats/currencies
+// ========================================
+app.get('/stats/currencies', requireReadAccess, async (req, res) => {
+  try {
+    const data = await currencyStats(req.query);
+    res.json({ count: data.length, data });
   } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+    console.error('GET /stats/currencies error:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // ========================================
-// DELETE /countries/:name
+// GET /changes
 // ========================================
-app.delete('/countries/:name', async (req, res) => {
+app.get('/changes', requireReadAccess, async (req, res) => {
   try {
-    const result = await pool.query(
-      'DELETE FROM countries WHERE name_lower = LOWER($1)',
-      [req.params.name]
-    );
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Country not found' });
-    }
-    res.json({ message: 'Country deleted successfully' });
+    res.json(await listChanges(req.query));
   } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+    console.error('GET /changes error:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // ========================================
-// GET /status
+// PUT / PATCH /countries/:name
 // ========================================
-app.get('/status', async (req, res) => {
+const overrideCountry = (replace) => async (req, res) => {
   try {
-    const totalRes = await pool.query('SELECT COUNT(*) AS total FROM countries');
-    const timeRes = await pool.query('SELECT MAX(last_refreshed_at) AS last_refreshed_at FROM countries');
+    const changes = parseOverrideBody(req.body, { replace });
+    const updated = await updateCountryOverrides(req.params.name, changes);
+    if (!updated) return res.status(404).json({ error: 'Country not found' });
+
+    await invalidateImageCache();
+    await auditRequest(req, 'country.override', updated.name, changes);
+    const [country] = await attachCurrencies([updated]);
+    res.json(country);
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+    console.error(`${req.method} /countries/:name error:`, err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
+app.put('/countries/:name', requireRole('operator'), overrideCountry(true));
+app.patch('/countries/:name', requireRole('operator'), overrideCountry(false));
+
+// ========================================
+// DELETE /countries/:name
+// ========================================
+// Soft delete: the row is hidden and refreshes leave it alone until it is restored
+app.delete('/countries/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await db.countries.softDelete(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Country not found' });
+    }
+    await invalidateImageCache();
+    await auditRequest(req, 'country.delete', deleted.name);
     res.json({
-      total_countries: parseInt(totalRes.rows[0].total),
-      last_refreshed_at: timeRes.rows[0].last_refreshed_at
-        ? new Date(timeRes.rows[0].last_refreshed_at).toISOString()
-        : null
+      message: 'Country deleted successfully',
+      deleted_at: new Date(deleted.deleted_at).toISOString()
     });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
@@ -318,14 +439,39 @@ app.get('/status', async (req, res) => {
 });
 
 // ========================================
-// GET /countries/image
+// POST /countries/:name/restore
 // ========================================
-app.get('/countries/image', async (req, res) => {
+app.post('/countries/:name/restore', requireRole('admin'), async (req, res) => {
   try {
-    await fs.access(IMAGE_PATH);
-    res.sendFile(IMAGE_PATH);
-  } catch {
-    res.status(404).json({ error: 'Summary image not found' });
+    const restored = await db.countries.restore(req.params.name);
+    if (!restored) {
+      return res.status(404).json({ error: 'No deleted country with that name' });
+    }
+    await invalidateImageCache();
+    await auditRequest(req, 'country.restore', restored.name);
+    const [country] = await attachCurrencies([restored]);
+    res.json({ message: 'Country restored', country });
+  } catch (err) {
+    console.error('POST /countries/:name/restore error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================================
+// GET /status
+// ========================================
+app.get('/status', requireReadAccess, async (req, res) => {
+  try {
+    const { total, last_refreshed_at } = await db.countries.summary();
+
+    res.json({
+      total_countries: total,
+      last_refreshed_at: last_refreshed_at
+        ? new Date(last_refreshed_at).toISOString()
+        : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
@@ -334,13 +480,39 @@ app.get('/countries/image', async (req, res) => {
 // ========================================
 app.get('/health', async (req, res) => {
   try {
-    await pool.query('SELECT 1');
+    await db.ping();
     res.json({ status: 'healthy', db: 'connected' });
   } catch {
     res.status(500).json({ status: 'unhealthy', db: 'disconnected' });
   }
 });
 
+// Liveness: the process is up and serving; never touches the database
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'alive', uptime_s: Math.round(process.uptime()) });
+});
+
+// Readiness: safe to route traffic here. 503 with the failing checks otherwise
+app.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, checks } = await runReadinessChecks();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+  } catch (err) {
+    console.error('GET /health/ready error:', err);
+    res.status(503).json({ status: 'not_ready', error: err.message });
+  }
+});
+
+// ========================================
+// ADMIN
+// ========================================
+app.use('/admin', adminRoutes);
+
+// ========================================
+// WEBHOOKS
+// ========================================
+app.use('/webhooks', webhookRoutes);
+
 // ========================================
 // ERROR HANDLING
 // ========================================
@@ -357,6 +529,18 @@ app.use('*', (req, res) => {
 // START SERVER
 // ========================================
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`API running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+
+// Migrations finish before the port opens, so nothing (readiness probes included)
+// ever sees a half-migrated schema; a failed migration is a failed start
+db.initDB()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`API running on http://localhost:${PORT}`);
+      startRefreshScheduler();
+      startWebhookWorker();
+    });
+  })
+  .catch(err => {
+    console.error('Startup failed:', err.message);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,63 @@
+// db/drivers/memory.js
+// In-process storage for local development: no Postgres needed, data is lost
+// when the process exits. Implements every repository over the plain arrays
+// in db/memoryStore.js rather than running SQL.
+const { createMemoryStore } = require('../memoryStore');
+const createMemoryCountryRepository = require('../repositories/memoryCountryRepository');
+const createMemorySnapshotRepository = require('../repositories/memorySnapshotRepository');
+const createMemoryRefreshRunRepository = require('../repositories/memoryRefreshRunRepository');
+const createMemoryChangeEventRepository = require('../repositories/memoryChangeEventRepository');
+const createMemoryWebhookRepository = require('../repositories/memoryWebhookRepository');
+const createMemoryApiKeyRepository = require('../repositories/memoryApiKeyRepository');
+const createMemoryAuditLogRepository = require('../repositories/memoryAuditLogRepository');
+
+// The tables the migrations create
+const TABLES = [
+  'countries', 'country_currencies', 'refresh_runs', 'country_snapshots', 'currency_snapshots',
+  'api_keys', 'audit_log', 'country_change_events', 'webhooks', 'webhook_deliveries'
+];
+
+// Every repository, over the store or over one transaction's view of it
+const createRepositories = (store) => ({
+  countries: createMemoryCountryRepository(store),
+  snapshots: createMemorySnapshotRepository(store),
+  refreshRuns: createMemoryRefreshRunRepository(store),
+  changeEvents: createMemoryChangeEventRepository(store),
+  webhooks: createMemoryWebhookRepository(store),
+  apiKeys: createMemoryApiKeyRepository(store),
+  auditLog: createMemoryAuditLogRepository(store)
+});
+
+/**
+ * The memory driver. Same interface as the postgres one (see db/index.js);
+ * locks only exist within this process, which is all a single instance needs.
+ */
+function createDriver() {
+  const store = createMemoryStore(TABLES);
+  const locks = new Set();
+
+  return {
+    name: 'memory',
+    ...createRepositories(store),
+
+    transaction: (fn) => store.transaction(tx => fn(createRepositories(tx))),
+
+    async tryLock(key) {
+      if (locks.has(key)) return null;
+      locks.add(key);
+      return { release: async () => { locks.delete(key); } };
+    },
+
+    ping: async () => {},
+
+    // The tables exist from the start and there are no migrations to apply
+    schemaStatus: async () => ({ tables: [...TABLES], migrations: [] }),
+
+    init: async () => console.log('In-memory storage ready; migrations only apply to postgres')
+  };
+}
+
+module.exports = {
+  name: 'memory',
+  createDriver
+};
@@ -0,0 +1,116 @@
+// db/drivers/postgres.js
+const { Pool } = require('pg');
+const { migrate, status: migrationStatus } = require('../migrator');
+const createPostgresCountryRepository = require('../repositories/postgresCountryRepository');
+const createPostgresSnapshotRepository = require('../repositories/postgresSnapshotRepository');
+const createPostgresRefreshRunRepository = require('../repositories/postgresRefreshRunRepository');
+const createPostgresChangeEventRepository = require('../repositories/postgresChangeEventRepository');
+const createPostgresWebhookRepository = require('../repositories/postgresWebhookRepository');
+const createPostgresApiKeyRepository = require('../repositories/postgresApiKeyRepository');
+const createPostgresAuditLogRepository = require('../repositories/postgresAuditLogRepository');
+
+/**
+ * Pool for the real PostgreSQL database at DATABASE_URL.
+ */
+function createPool() {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is not set. Set it to the external connection string from Railway.');
+  }
+
+  return new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: {
+      rejectUnauthorized: false
+    },
+    connectionTimeoutMillis: 5000,
+    max: 10
+  });
+}
+
+// Every repository, querying through `db`: the pool, or one client inside a transaction
+const createRepositories = (db) => ({
+  countries: createPostgresCountryRepository(db),
+  snapshots: createPostgresSnapshotRepository(db),
+  refreshRuns: createPostgresRefreshRunRepository(db),
+  changeEvents: createPostgresChangeEventRepository(db),
+  webhooks: createPostgresWebhookRepository(db),
+  apiKeys: createPostgresApiKeyRepository(db),
+  auditLog: createPostgresAuditLogRepository(db)
+});
+
+/**
+ * The postgres driver: repositories over a pool, plus transactions, advisory
+ * locks and migrations. See db/index.js for the interface.
+ */
+function createDriver() {
+  const pool = createPool();
+
+  return {
+    name: 'postgres',
+    ...createRepositories(pool),
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn(createRepositories(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Session-level advisory lock, so it is held on a client of its own until released
+    async tryLock(key) {
+      const client = await pool.connect();
+      try {
+        const result = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [key]);
+        if (!result.rows[0].locked) {
+          client.release();
+          return null;
+        }
+      } catch (err) {
+        client.release();
+        throw err;
+      }
+
+      return {
+        async release() {
+          try {
+            await client.query('SELECT pg_advisory_unlock($1)', [key]);
+          } finally {
+            client.release();
+          }
+        }
+      };
+    },
+
+    ping: () => pool.query('SELECT 1'),
+
+    async schemaStatus() {
+      const result = await pool.query(
+        'SELECT table_name FROM information_schema.tables WHERE table_schema = current_schema()'
+      );
+      return { tables: result.rows.map(row => row.table_name), migrations: await migrationStatus(pool) };
+    },
+
+    async init() {
+      if (process.env.MIGRATE_ON_START === 'false') {
+        console.log('Skipping migrations (MIGRATE_ON_START=false)');
+        return;
+      }
+      await migrate(pool);
+      console.log('Database migrations up to date');
+    }
+  };
+}
+
+module.exports = {
+  name: 'postgres',
+  createPool,
+  createDriver
+};
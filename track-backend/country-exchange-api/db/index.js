@@ -0,0 +1,118 @@
+// db/index.js
+require('dotenv').config();
+
+// ========================================
+// DATABASE CONNECTION
+// ========================================
+/**
+ * DB_DRIVER picks the storage: `postgres` (default, needs DATABASE_URL) or
+ * `memory` (in-process, for local runs; data is lost on restart). Both export
+ * the same repositories, so nothing outside db/ knows which one is active.
+ * Rows come back as pg returns them: NUMERIC and BIGINT columns as strings.
+ *
+ * countries (with their country_currencies):
+ *   list(options)             rows for parseCountryListQuery() output
+ *                             ({ filters, sort, columns, limit, offset })
+ *   count(filters)            number of countries matching the filters
+ *   batches(options, size)    async iterator over list(options), `size` rows at a time
+ *   findByName(name)          public columns (COUNTRY_COLUMNS) or null; never soft-deleted
+ *   listDeleted()             soft-deleted countries with deleted_at, latest first
+ *   softDelete(name)          { name, deleted_at } or null
+ *   restore(name)             restored country or null
+ *   summary({ region })       { total, last_refreshed_at, region } over live countries
+ *   topBy(column, { region, limit })
+ *                             [{ name, value }], highest `column` first
+ *   currencies(countryIds)    country_currencies rows, primary first
+ *   latestRates(codes)        [{ currency_code, exchange_rate, last_refreshed_at }], the
+ *                             freshest non-stale rate per code
+ *   regionStats(filters), currencyStats(filters)
+ *                             aggregate rows per region / currency (see utils/countryStats.js)
+ *   previousValues()          what a refresh diffs against (see utils/changeDetection.js)
+ *   upsertMany(rows, refreshedAt)
+ *                             inserts or updates countries and replaces their currencies,
+ *                             keeping overridden fields
+ *   markMissingStale(refreshedAt), removeMissing(refreshedAt)
+ *                             number of live countries the refresh didn't touch, flagged or deleted
+ *   findForUpdate(name)       full row, locked until the transaction ends, or null
+ *   updateOverrides(id, values)
+ *                             updated country or null
+ * snapshots:
+ *   insertCountrySnapshots(runId, rows, recordedAt), insertCurrencySnapshots(runId, snapshots, recordedAt)
+ *   countryHistory(name, { from, to }), currencyHistory(code, { from, to })
+ *                             snapshot rows, oldest first
+ * refreshRuns:
+ *   create(trigger), findById(id), list(limit), findActiveId()
+ *   failInterrupted()         fails every queued or running job
+ *   markRunning(id, startedAt), setTotal(id, total)
+ *   saveProgress(id, { counts, errors }), finish(id, status, { counts, errors }, durationMs)
+ * changeEvents:
+ *   insertMany(runId, events, detectedAt)
+ *   list(filters, { limit, offset })  { rows, total }, newest first
+ * webhooks:
+ *   list(), listActive(), findById(id), findByIds(ids), create(webhook), disable(id)
+ *   queueDelivery(webhookId, runId, payload), claimDueDeliveries(leaseUntil, limit),
+ *   recordAttempt(id, attempt), listDeliveries(webhookId, { status, limit })
+ * apiKeys:
+ *   findActiveByHash(hash), touch(id), list(), create(key), revoke(id)
+ * auditLog:
+ *   insert(entry), list(filters, { limit, offset }), countSince(actorKeyId, action, since)
+ *
+ * Besides the repositories:
+ *   transaction(fn)    runs fn(repositories) atomically, rolling back when it throws
+ *   tryLock(key)       { release() } for an app-wide lock, or null when it is held
+ *   ping()             rejects when the database is unreachable
+ *   schemaStatus()     { tables, migrations } for the readiness check
+ */
+const DRIVERS = {
+  postgres: () => require('./drivers/postgres'),
+  memory: () => require('./drivers/memory')
+};
+
+let driver;
+
+try {
+  const driverName = (process.env.DB_DRIVER || 'postgres').toLowerCase();
+  if (!DRIVERS[driverName]) {
+    throw new Error(`DB_DRIVER must be one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  driver = DRIVERS[driverName]().createDriver();
+
+  console.log(`Database driver loaded (${driver.name})`);
+} catch (err) {
+  console.error('DB Driver Error:', err.message);
+  process.exit(1);
+}
+
+// Test connection
+(async () => {
+  try {
+    await driver.ping();
+    console.log(`Connected to ${driver.name} database`);
+  } catch (err) {
+    console.error('DB connection failed:', err.message);
+  }
+})();
+
+// ========================================
+// DATABASE INITIALIZATION
+// ========================================
+// Schema changes live in migrations/; see db/migrator.js. Rejects when a migration fails
+async function initDB() {
+  await driver.init();
+}
+
+module.exports = {
+  driver: driver.name,
+  countries: driver.countries,
+  snapshots: driver.snapshots,
+  refreshRuns: driver.refreshRuns,
+  changeEvents: driver.changeEvents,
+  webhooks: driver.webhooks,
+  apiKeys: driver.apiKeys,
+  auditLog: driver.auditLog,
+  transaction: driver.transaction,
+  tryLock: driver.tryLock,
+  ping: driver.ping,
+  schemaStatus: driver.schemaStatus,
+  initDB
+};
@@ -0,0 +1,108 @@
+// db/memoryStore.js
+// Tables for the memory driver: one array of rows per table, plus the parts of
+// Postgres the repositories rely on (serial ids, column types, transactions).
+
+// ========================================
+// COLUMN TYPES
+// ========================================
+// pg returns NUMERIC and BIGINT as strings, NUMERIC padded to its scale
+// ("1600.5000"); storing them the same way keeps responses identical across drivers
+const decimal = (value, scale) => (value == null ? null : Number(value).toFixed(scale));
+const bigint = (value) => (value == null ? null : String(Math.trunc(Number(value))));
+
+// Callers get copies so they can't change stored rows by accident
+const copy = (row) => structuredClone(row);
+
+// A copy of `row` with only `columns`, like a SELECT list
+const pick = (row, columns) => copy(Object.fromEntries(columns.map(column => [column, row[column]])));
+
+/**
+ * Replaces (never mutates) the rows matching `predicate` with `changes(row)`
+ * merged in, and returns the new rows. Rows are shared with the committed
+ * table until a transaction commits, so they must not change in place.
+ */
+function updateRows(rows, predicate, changes) {
+  const updated = [];
+  rows.forEach((row, index) => {
+    if (!predicate(row)) return;
+    rows[index] = { ...row, ...changes(row) };
+    updated.push(rows[index]);
+  });
+  return updated;
+}
+
+// Removes the rows matching `predicate` in place and returns them
+function deleteRows(rows, predicate) {
+  const deleted = rows.filter(predicate);
+  const kept = rows.filter(row => !predicate(row));
+  rows.splice(0, rows.length, ...kept);
+  return deleted;
+}
+
+// ========================================
+// STORE
+// ========================================
+/**
+ * Creates empty `tableNames` tables. Repositories use:
+ *   read(table)        the rows, read-only
+ *   write(table, fn)   runs fn(rows) on a writable array and returns its result;
+ *                      fn must be synchronous
+ *   nextId(table)      the next SERIAL id, never reused (even after a rollback)
+ *   transaction(fn)    runs fn(store) on copies of the tables it writes and swaps
+ *                      them in when it resolves, so others never see half of it
+ *
+ * A transaction keeps every table it wrote to until it ends, as Postgres keeps
+ * row locks: other writes to those tables wait for it, while reads go on
+ * seeing the last committed rows.
+ */
+function createMemoryStore(tableNames) {
+  const tables = Object.fromEntries(tableNames.map(name => [name, []]));
+  const sequences = Object.fromEntries(tableNames.map(name => [name, 0]));
+  // table -> the transaction holding it
+  const owners = new Map();
+
+  const view = (tx) => ({
+    read: (table) => (tx && tx.tables.has(table) ? tx.tables.get(table) : tables[table]),
+
+    async write(table, fn) {
+      // Re-checked after every wait: another writer may have taken the table first
+      while (owners.has(table) && owners.get(table) !== tx) await owners.get(table).done;
+      if (!tx) return fn(tables[table]);
+
+      if (!tx.tables.has(table)) {
+        owners.set(table, tx);
+        tx.tables.set(table, [...tables[table]]);
+      }
+      return fn(tx.tables.get(table));
+    },
+
+    nextId: (table) => ++sequences[table]
+  });
+
+  return {
+    ...view(null),
+
+    async transaction(fn) {
+      let finish;
+      const tx = { tables: new Map(), done: new Promise(resolve => { finish = resolve; }) };
+      try {
+        const result = await fn(view(tx));
+        for (const [table, rows] of tx.tables) tables[table] = rows;
+        return result;
+      } finally {
+        for (const table of tx.tables.keys()) owners.delete(table);
+        finish();
+      }
+    }
+  };
+}
+
+module.exports = {
+  decimal,
+  bigint,
+  copy,
+  pick,
+  updateRows,
+  deleteRows,
+  createMemoryStore
+};
@@ -0,0 +1,206 @@
+// db/migrator.js
+// Shared by country-exchange-api and stringAnalyzer-Service, which each ship an
+// identical copy so either deploys on its own. Change both together;
+// `npm run check:migrator` in either service fails while they differ.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+// Arbitrary key for pg_advisory_lock; distinct from country-exchange-api's refresh lock
+const MIGRATION_LOCK_KEY = 74201002;
+
+// Files are named NNN_description.up.sql / NNN_description.down.sql
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+// ========================================
+// FILES
+// ========================================
+/**
+ * Reads the migrations directory into [{ version, name, up, down, checksum }],
+ * ordered by version. Throws on duplicate versions or a missing half of a pair.
+ */
+async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of await fs.readdir(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, digits, name, direction] = match;
+    const version = parseInt(digits, 10);
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name || migration[direction] !== undefined) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+    migration[direction] = await fs.readFile(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (migration.up === undefined || migration.down === undefined) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both .up.sql and .down.sql`);
+    }
+    migration.checksum = checksum(migration.up);
+  }
+  return migrations;
+}
+
+// ========================================
+// RUNNER
+// ========================================
+const ensureMigrationsTable = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`);
+
+// Read-only existence check, so status() never creates anything
+const hasMigrationsTable = async (client) => {
+  const result = await client.query(`SELECT to_regclass('${MIGRATIONS_TABLE}') IS NOT NULL AS present`);
+  return result.rows[0].present;
+};
+
+const appliedMigrations = async (client) => {
+  const result = await client.query(`SELECT * FROM ${MIGRATIONS_TABLE} ORDER BY version ASC`);
+  return result.rows;
+};
+
+/**
+ * Runs fn with a dedicated client holding the migration advisory lock.
+ * Other instances block here until we finish, then find nothing left to do.
+ */
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Each migration runs in its own transaction together with its bookkeeping row
+async function runInTransaction(client, sql, bookkeeping) {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await bookkeeping();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Applies every pending migration in version order. Returns the applied
+ * migrations as [{ version, name }].
+ */
+async function migrate(pool, { dir } = {}) {
+  const migrations = await loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set((await appliedMigrations(client)).map(row => row.version));
+    const done = [];
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+      await runInTransaction(client, migration.up, () => client.query(
+        `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+        [migration.version, migration.name, migration.checksum]
+      ));
+      console.log(`Applied migration ${migration.version}_${migration.name}`);
+      done.push({ version: migration.version, name: migration.name });
+    }
+
+    return done;
+  });
+}
+
+/**
+ * Reverts the `steps` most recently applied migrations, newest first.
+ * Returns the reverted migrations as [{ version, name }].
+ */
+async function rollback(pool, { steps = 1, dir } = {}) {
+  const migrations = await loadMigrations(dir);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withMigrationLock(pool, async (client) => {
+    const toRevert = (await appliedMigrations(client)).reverse().slice(0, steps);
+    const done = [];
+
+    for (const row of toRevert) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version}_${row.name} is applied but its files are missing`);
+      }
+      await runInTransaction(client, migration.down, () => client.query(
+        `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`,
+        [row.version]
+      ));
+      console.log(`Reverted migration ${migration.version}_${migration.name}`);
+      done.push({ version: migration.version, name: migration.name });
+    }
+
+    return done;
+  });
+}
+
+/**
+ * Lists every known migration with its state: `applied`, `pending`,
+ * `modified` (file changed since it was applied) or `missing` (applied, no file).
+ * Only reads: on a database that was never migrated, everything is pending.
+ */
+async function status(pool, { dir } = {}) {
+  const migrations = await loadMigrations(dir);
+  const client = await pool.connect();
+
+  try {
+    const appliedRows = await hasMigrationsTable(client) ? await appliedMigrations(client) : [];
+    const applied = new Map(appliedRows.map(row => [row.version, row]));
+
+    const rows = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      let state = 'pending';
+      if (row) state = row.checksum === migration.checksum ? 'applied' : 'modified';
+      return {
+        version: migration.version,
+        name: migration.name,
+        state,
+        applied_at: row ? row.applied_at : null
+      };
+    });
+
+    const known = new Set(migrations.map(migration => migration.version));
+    for (const row of applied.values()) {
+      if (!known.has(row.version)) {
+        rows.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at });
+      }
+    }
+
+    return rows.sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrate,
+  rollback,
+  status
+};
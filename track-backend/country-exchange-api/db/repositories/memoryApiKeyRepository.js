@@ -0,0 +1,47 @@
+// db/repositories/memoryApiKeyRepository.js
+// api_keys, kept in the memory store
+const { copy, pick, updateRows } = require('../memoryStore');
+
+const createMemoryApiKeyRepository = (store) => ({
+  async findActiveByHash(keyHash) {
+    const key = store.read('api_keys').find(row => row.key_hash === keyHash && !row.revoked_at);
+    return key ? pick(key, ['id', 'name', 'role', 'refresh_limit_per_hour']) : null;
+  },
+
+  async touch(id) {
+    await store.write('api_keys', rows => updateRows(rows, key => key.id === id, () => ({ last_used_at: new Date() })));
+  },
+
+  list: async () => store.read('api_keys').slice().sort((a, b) => a.id - b.id).map(copy),
+
+  async create({ name, role, key_hash, refresh_limit_per_hour }) {
+    const key = await store.write('api_keys', rows => {
+      // UNIQUE (key_hash)
+      if (rows.some(row => row.key_hash === key_hash)) throw new Error('duplicate key value violates unique constraint on key_hash');
+      const row = {
+        id: store.nextId('api_keys'),
+        name,
+        role,
+        key_hash,
+        refresh_limit_per_hour,
+        created_at: new Date(),
+        last_used_at: null,
+        revoked_at: null
+      };
+      rows.push(row);
+      return row;
+    });
+    return copy(key);
+  },
+
+  async revoke(id) {
+    const [revoked] = await store.write('api_keys', rows => updateRows(
+      rows,
+      key => key.id === id && !key.revoked_at,
+      () => ({ revoked_at: new Date() })
+    ));
+    return revoked ? copy(revoked) : null;
+  }
+});
+
+module.exports = createMemoryApiKeyRepository;
@@ -0,0 +1,44 @@
+// db/repositories/memoryAuditLogRepository.js
+// audit_log, kept in the memory store
+const { copy } = require('../memoryStore');
+
+const matches = (entry, filters) => {
+  if (filters.action && entry.action !== filters.action) return false;
+  if (filters.actor && entry.actor_name !== filters.actor) return false;
+  if (filters.target && (entry.target || '').toLowerCase() !== filters.target.toLowerCase()) return false;
+  if (filters.from && entry.created_at < filters.from) return false;
+  if (filters.to && entry.created_at > filters.to) return false;
+  return true;
+};
+
+const createMemoryAuditLogRepository = (store) => ({
+  async insert({ actor_key_id, actor_name, actor_role, action, target, details, ip }) {
+    await store.write('audit_log', rows => rows.push({
+      id: store.nextId('audit_log'),
+      actor_key_id,
+      actor_name,
+      actor_role,
+      action,
+      target,
+      details: copy(details),
+      ip,
+      created_at: new Date()
+    }));
+  },
+
+  async list(filters, { limit, offset }) {
+    const rows = store.read('audit_log')
+      .filter(entry => matches(entry, filters))
+      .sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+    return { rows: rows.slice(offset, offset + limit).map(copy), total: rows.length };
+  },
+
+  async countSince(actorKeyId, action, since) {
+    const entries = store.read('audit_log')
+      .filter(entry => entry.actor_key_id === actorKeyId && entry.action === action && entry.created_at > since);
+    const oldest = entries.reduce((min, entry) => (min == null || entry.created_at < min ? entry.created_at : min), null);
+    return { count: entries.length, oldest };
+  }
+});
+
+module.exports = createMemoryAuditLogRepository;
@@ -0,0 +1,37 @@
+// db/repositories/memoryChangeEventRepository.js
+// country_change_events, kept in the memory store
+const { decimal, copy } = require('../memoryStore');
+
+// Same rules as the postgres WHERE clause; a NULL change_pct never passes min_change_pct
+const matches = (event, filters) => {
+  if (filters.country !== undefined && event.country_name.toLowerCase() !== filters.country.toLowerCase()) return false;
+  if (filters.field !== undefined && event.field !== filters.field) return false;
+  if (filters.refresh_run_id !== undefined && event.refresh_run_id !== filters.refresh_run_id) return false;
+  if (filters.min_change_pct !== undefined
+    && (event.change_pct == null || Math.abs(Number(event.change_pct)) < filters.min_change_pct)) return false;
+  return true;
+};
+
+const createMemoryChangeEventRepository = (store) => ({
+  async insertMany(refreshRunId, events, detectedAt) {
+    await store.write('country_change_events', rows => events.forEach(event => rows.push({
+      id: store.nextId('country_change_events'),
+      refresh_run_id: refreshRunId,
+      country_name: event.country,
+      field: event.field,
+      old_value: event.old_value == null ? null : String(event.old_value),
+      new_value: event.new_value == null ? null : String(event.new_value),
+      change_pct: decimal(event.change_pct, 4),
+      detected_at: new Date(detectedAt)
+    })));
+  },
+
+  async list(filters, { limit, offset }) {
+    const rows = store.read('country_change_events')
+      .filter(event => matches(event, filters))
+      .sort((a, b) => b.detected_at - a.detected_at || b.id - a.id);
+    return { rows: rows.slice(offset, offset + limit).map(copy), total: rows.length };
+  }
+});
+
+module.exports = createMemoryChangeEventRepository;
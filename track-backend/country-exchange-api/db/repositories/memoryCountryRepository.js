@@ -0,0 +1,306 @@
+// db/repositories/memoryCountryRepository.js
+// countries and their country_currencies rows, kept in the memory store
+const { decimal, bigint, copy, pick, updateRows, deleteRows } = require('../memoryStore');
+const { COUNTRY_COLUMNS, RANGE_FILTERS } = require('../../utils/countryQuery');
+
+const COMPARISONS = {
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b
+};
+
+// Same result as PERCENTILE_CONT(0.5): the middle value, or the mean of the two middle ones
+const median = (values) => {
+  const sorted = values.map(Number).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// SUM, MIN and MAX skip NULLs and return NULL when nothing is left
+const nonNull = (values) => values.filter(value => value != null).map(Number);
+const sum = (values) => (nonNull(values).length ? nonNull(values).reduce((total, value) => total + value, 0) : null);
+const min = (values) => (nonNull(values).length ? Math.min(...nonNull(values)) : null);
+const max = (values) => (nonNull(values).length ? Math.max(...nonNull(values)) : null);
+
+// ========================================
+// FILTERING AND SORTING
+// ========================================
+// Same rules as the postgres WHERE clause, NULL comparisons included
+const matches = (country, filters, currencyCountryIds) => {
+  if (country.deleted_at) return false;
+  if (filters.region !== undefined && country.region !== filters.region) return false;
+  if (filters.currency !== undefined && !currencyCountryIds.has(country.id)) return false;
+  if (filters.search !== undefined && !country.name_lower.includes(filters.search)) return false;
+  for (const [param, [column, comparison]] of Object.entries(RANGE_FILTERS)) {
+    if (filters[param] === undefined) continue;
+    if (country[column] == null || !COMPARISONS[comparison](Number(country[column]), filters[param])) return false;
+  }
+  return true;
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// NULLs last in either direction, ties broken on name
+const comparator = ([column, direction]) => {
+  const sign = direction === 'DESC' ? -1 : 1;
+  if (column === 'name') return (a, b) => sign * byName(a, b);
+  return (a, b) => {
+    if (a[column] == null || b[column] == null) {
+      return (a[column] == null) - (b[column] == null) || byName(a, b);
+    }
+    return sign * (Number(a[column]) - Number(b[column])) || byName(a, b);
+  };
+};
+
+const inRegion = (country, region) => !region || (country.region || '').toLowerCase() === region.toLowerCase();
+
+// Rows as pg returns them for the baseline's column types
+const toCountryRow = (row) => ({
+  ...row,
+  population: bigint(row.population),
+  exchange_rate: decimal(row.exchange_rate, 4),
+  estimated_gdp: decimal(row.estimated_gdp, 2)
+});
+
+// Override columns keep their stored value while listed in overridden_fields
+const OVERRIDE_COLUMNS = ['capital', 'region', 'exchange_rate', 'flag_url'];
+
+// ========================================
+// REPOSITORY
+// ========================================
+const createMemoryCountryRepository = (store) => {
+  const countries = () => store.read('countries');
+
+  const filtered = (filters) => {
+    const currencyCountryIds = new Set(filters.currency === undefined ? [] : store.read('country_currencies')
+      .filter(currency => currency.currency_code === filters.currency)
+      .map(currency => currency.country_id));
+    return countries().filter(country => matches(country, filters, currencyCountryIds));
+  };
+
+  const list = ({ filters, sort, columns = COUNTRY_COLUMNS, limit = null, offset = 0 }) => {
+    const rows = filtered(filters).sort(comparator(sort));
+    return rows.slice(offset, limit === null ? undefined : offset + limit).map(row => pick(row, columns));
+  };
+
+  // Aggregates shared by every grouping over { country, rate } entries
+  const aggregates = (entries) => ({
+    country_count: new Set(entries.map(({ country }) => country.id)).size,
+    total_population: sum(entries.map(({ country }) => country.population)),
+    median_population: median(entries.map(({ country }) => country.population)),
+    total_estimated_gdp: sum(entries.map(({ country }) => country.estimated_gdp)),
+    min_exchange_rate: min(entries.map(({ rate }) => rate)),
+    max_exchange_rate: max(entries.map(({ rate }) => rate)),
+    countries_missing_rate: entries.filter(({ rate }) => rate == null).length
+  });
+
+  const groupBy = (entries, keyOf) => {
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = keyOf(entry);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+    return groups;
+  };
+
+  const changeByName = (name, predicate, changes) => store.write('countries', rows => updateRows(
+    rows,
+    country => country.name_lower === name.toLowerCase() && predicate(country),
+    changes
+  )[0] || null);
+
+  return {
+    list: async (options) => list(options),
+
+    count: async (filters) => filtered(filters).length,
+
+    async *batches(options, size) {
+      const rows = list(options);
+      for (let i = 0; i < rows.length; i += size) yield rows.slice(i, i + size);
+    },
+
+    async findByName(name) {
+      const country = countries().find(row => row.name_lower === name.toLowerCase() && !row.deleted_at);
+      return country ? pick(country, COUNTRY_COLUMNS) : null;
+    },
+
+    async listDeleted() {
+      return countries()
+        .filter(country => country.deleted_at)
+        .sort((a, b) => b.deleted_at - a.deleted_at || byName(a, b))
+        .map(country => pick(country, [...COUNTRY_COLUMNS, 'deleted_at']));
+    },
+
+    async softDelete(name) {
+      const deleted = await changeByName(name, country => !country.deleted_at, () => ({ deleted_at: new Date() }));
+      return deleted ? pick(deleted, ['name', 'deleted_at']) : null;
+    },
+
+    async restore(name) {
+      const restored = await changeByName(name, country => country.deleted_at, () => ({ deleted_at: null }));
+      return restored ? pick(restored, COUNTRY_COLUMNS) : null;
+    },
+
+    async summary({ region = null } = {}) {
+      const rows = countries().filter(country => !country.deleted_at && inRegion(country, region));
+      const latest = (values) => values.reduce((max, value) => (max == null || value > max ? value : max), null);
+      return {
+        total: rows.length,
+        last_refreshed_at: latest(rows.map(country => country.last_refreshed_at)),
+        region: latest(rows.map(country => country.region).filter(value => value != null))
+      };
+    },
+
+    async topBy(column, { region = null, limit }) {
+      return countries()
+        .filter(country => country[column] != null && !country.deleted_at && inRegion(country, region))
+        .sort((a, b) => Number(b[column]) - Number(a[column]))
+        .slice(0, limit)
+        .map(country => ({ name: country.name, value: country[column] }));
+    },
+
+    async currencies(countryIds) {
+      const ids = new Set(countryIds);
+      return store.read('country_currencies')
+        .filter(currency => ids.has(currency.country_id))
+        .sort((a, b) => a.country_id - b.country_id || b.is_primary - a.is_primary || a.sort_order - b.sort_order)
+        .map(currency => pick(currency, ['country_id', 'currency_code', 'exchange_rate', 'is_primary']));
+    },
+
+    async latestRates(codes) {
+      const byId = new Map(countries().filter(country => !country.deleted_at).map(country => [country.id, country]));
+      const candidates = store.read('country_currencies')
+        .filter(currency => codes.includes(currency.currency_code) && byId.has(currency.country_id))
+        .map(currency => ({ currency, country: byId.get(currency.country_id) }))
+        // Same order as the postgres DISTINCT ON: a rate over none, fresh over stale, latest refresh first
+        .sort((a, b) => (a.currency.exchange_rate == null) - (b.currency.exchange_rate == null)
+          || a.country.is_stale - b.country.is_stale
+          || b.country.last_refreshed_at - a.country.last_refreshed_at);
+
+      const latest = new Map();
+      for (const { currency, country } of candidates) {
+        if (latest.has(currency.currency_code)) continue;
+        latest.set(currency.currency_code, {
+          currency_code: currency.currency_code,
+          exchange_rate: currency.exchange_rate,
+          last_refreshed_at: new Date(country.last_refreshed_at)
+        });
+      }
+      return [...latest.values()];
+    },
+
+    async regionStats(filters) {
+      const entries = filtered(filters).map(country => ({ country, rate: country.exchange_rate }));
+      return [...groupBy(entries, ({ country }) => country.region)]
+        .sort(([a], [b]) => (a == null) - (b == null) || (a == null ? 0 : a.localeCompare(b)))
+        .map(([region, group]) => ({ region, ...aggregates(group) }));
+    },
+
+    async currencyStats(filters) {
+      const byId = new Map(filtered(filters).map(country => [country.id, country]));
+      const entries = store.read('country_currencies')
+        .filter(currency => byId.has(currency.country_id))
+        .map(currency => ({ country: byId.get(currency.country_id), rate: currency.exchange_rate, code: currency.currency_code }));
+      return [...groupBy(entries, ({ code }) => code)]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([currency_code, group]) => ({ currency_code, ...aggregates(group) }));
+    },
+
+    // ========================================
+    // REFRESH
+    // ========================================
+    async previousValues() {
+      const primaries = new Map(store.read('country_currencies')
+        .filter(currency => currency.is_primary)
+        .map(currency => [currency.country_id, currency.exchange_rate]));
+      return countries().map(country => ({
+        ...pick(country, [
+          'name_lower', 'population', 'currency_code', 'exchange_rate',
+          'capital', 'region', 'flag_url', 'overridden_fields', 'deleted_at'
+        ]),
+        upstream_rate: primaries.has(country.id) ? primaries.get(country.id) : null
+      }));
+    },
+
+    async upsertMany(batch, refreshedAt) {
+      const ids = await store.write('countries', rows => batch.map(row => {
+        // A pinned rate (see applyOverrides) is served from here and nowhere else
+        const served = row.served || row;
+        const values = toCountryRow({
+          name: row.name, capital: row.capital, region: row.region, population: row.population,
+          currency_code: row.currency_code, exchange_rate: served.exchange_rate,
+          estimated_gdp: served.estimated_gdp, gdp_method: served.gdp_method, flag_url: row.flag_url,
+          last_refreshed_at: new Date(refreshedAt), is_stale: false
+        });
+
+        const index = rows.findIndex(country => country.name_lower === row.name.toLowerCase());
+        if (index === -1) {
+          const id = store.nextId('countries');
+          rows.push({ id, ...values, name_lower: row.name.toLowerCase(), overridden_fields: [], deleted_at: null });
+          return id;
+        }
+
+        // Rows already carry overrides (see applyOverrides); this also covers one set mid-refresh
+        const existing = rows[index];
+        const kept = OVERRIDE_COLUMNS.filter(column => existing.overridden_fields.includes(column));
+        rows[index] = { ...existing, ...values, name: existing.name, ...pick(existing, kept) };
+        return existing.id;
+      }));
+
+      // Replace each country's currency list wholesale so dropped currencies disappear too
+      await store.write('country_currencies', rows => {
+        const replaced = new Set(ids);
+        deleteRows(rows, currency => replaced.has(currency.country_id));
+        batch.forEach((row, i) => row.currencies.forEach((currency, index) => rows.push({
+          country_id: ids[i],
+          currency_code: currency.code,
+          exchange_rate: decimal(currency.exchange_rate, 4),
+          is_primary: currency.is_primary,
+          sort_order: index
+        })));
+      });
+    },
+
+    async markMissingStale(refreshedAt) {
+      const stale = await store.write('countries', rows => updateRows(
+        rows,
+        country => country.last_refreshed_at.getTime() !== new Date(refreshedAt).getTime()
+          && !country.is_stale && !country.deleted_at,
+        () => ({ is_stale: true })
+      ));
+      return stale.length;
+    },
+
+    async removeMissing(refreshedAt) {
+      const removed = await store.write('countries', rows => deleteRows(
+        rows,
+        country => country.last_refreshed_at.getTime() !== new Date(refreshedAt).getTime() && !country.deleted_at
+      ));
+      // ON DELETE CASCADE
+      const removedIds = new Set(removed.map(country => country.id));
+      await store.write('country_currencies', rows => deleteRows(rows, currency => removedIds.has(currency.country_id)));
+      return removed.length;
+    },
+
+    // ========================================
+    // OVERRIDES
+    // ========================================
+    // Claims the countries table for the caller's transaction, like FOR UPDATE
+    async findForUpdate(name) {
+      const country = await store.write('countries', rows => rows
+        .find(row => row.name_lower === name.toLowerCase() && !row.deleted_at));
+      return country ? copy(country) : null;
+    },
+
+    async updateOverrides(id, values) {
+      const [updated] = await store.write('countries', rows => updateRows(rows, country => country.id === id, () => ({
+        ...pick(toCountryRow(values), ['capital', 'region', 'flag_url', 'exchange_rate', 'estimated_gdp', 'gdp_method']),
+        overridden_fields: [...values.overridden_fields]
+      })));
+      return updated ? pick(updated, COUNTRY_COLUMNS) : null;
+    }
+  };
+};
+
+module.exports = createMemoryCountryRepository;
@@ -0,0 +1,86 @@
+// db/repositories/memoryRefreshRunRepository.js
+// refresh_runs, kept in the memory store
+const { copy, updateRows } = require('../memoryStore');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const progressColumns = ({ counts, errors }) => ({
+  countries_processed: counts.processed,
+  inserted: counts.inserted,
+  updated: counts.updated,
+  skipped: counts.skipped,
+  missing: counts.missing,
+  changes: counts.changes,
+  errors: [...errors]
+});
+
+const createMemoryRefreshRunRepository = (store) => {
+  const update = (id, changes) => store.write('refresh_runs', rows => updateRows(rows, run => run.id === id, changes));
+
+  return {
+    async create(trigger) {
+      const run = await store.write('refresh_runs', rows => {
+        const row = {
+          id: store.nextId('refresh_runs'),
+          status: 'queued',
+          trigger,
+          created_at: new Date(),
+          started_at: null,
+          completed_at: null,
+          duration_ms: null,
+          countries_total: null,
+          countries_processed: 0,
+          inserted: 0,
+          updated: 0,
+          skipped: 0,
+          missing: 0,
+          errors: [],
+          changes: 0
+        };
+        rows.push(row);
+        return row;
+      });
+      return copy(run);
+    },
+
+    async findById(id) {
+      const run = store.read('refresh_runs').find(row => row.id === id);
+      return run ? copy(run) : null;
+    },
+
+    async list(limit) {
+      return store.read('refresh_runs').slice().sort((a, b) => b.id - a.id).slice(0, limit).map(copy);
+    },
+
+    async findActiveId() {
+      const active = store.read('refresh_runs').filter(run => ACTIVE_STATUSES.includes(run.status));
+      return active.length ? Math.max(...active.map(run => run.id)) : null;
+    },
+
+    async failInterrupted() {
+      await store.write('refresh_runs', rows => updateRows(
+        rows,
+        run => ACTIVE_STATUSES.includes(run.status),
+        run => ({ status: 'failed', completed_at: new Date(), errors: [...run.errors, 'Interrupted before completion'] })
+      ));
+    },
+
+    async markRunning(id, startedAt) {
+      await update(id, () => ({ status: 'running', started_at: new Date(startedAt) }));
+    },
+
+    async setTotal(id, total) {
+      await update(id, () => ({ countries_total: total }));
+    },
+
+    async saveProgress(id, progress) {
+      await update(id, () => progressColumns(progress));
+    },
+
+    async finish(id, status, progress, durationMs) {
+      await update(id, () => ({ ...progressColumns(progress), status, completed_at: new Date(), duration_ms: durationMs }));
+    }
+  };
+};
+
+module.exports = createMemoryRefreshRunRepository;
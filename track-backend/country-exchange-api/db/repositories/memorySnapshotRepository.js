@@ -0,0 +1,53 @@
+// db/repositories/memorySnapshotRepository.js
+// Per-refresh history: country_snapshots and currency_snapshots, kept in the memory store
+const { decimal, bigint, pick } = require('../memoryStore');
+
+const inRange = (row, { from, to }) => (!from || row.recorded_at >= from) && (!to || row.recorded_at <= to);
+
+const byRecordedAt = (a, b) => a.recorded_at - b.recorded_at || a.refresh_run_id - b.refresh_run_id;
+
+const createMemorySnapshotRepository = (store) => ({
+  async insertCountrySnapshots(refreshRunId, rows, recordedAt) {
+    await store.write('country_snapshots', snapshots => rows.forEach(row => snapshots.push({
+      id: store.nextId('country_snapshots'),
+      refresh_run_id: refreshRunId,
+      name: row.name,
+      name_lower: row.name.toLowerCase(),
+      population: bigint(row.population),
+      currency_code: row.currency_code,
+      exchange_rate: decimal(row.exchange_rate, 4),
+      estimated_gdp: decimal(row.estimated_gdp, 2),
+      gdp_method: row.gdp_method,
+      recorded_at: new Date(recordedAt)
+    })));
+  },
+
+  async insertCurrencySnapshots(refreshRunId, snapshots, recordedAt) {
+    await store.write('currency_snapshots', rows => snapshots.forEach(snapshot => rows.push({
+      refresh_run_id: refreshRunId,
+      currency_code: snapshot.code,
+      exchange_rate: decimal(snapshot.exchange_rate, 4),
+      countries: snapshot.countries,
+      recorded_at: new Date(recordedAt)
+    })));
+  },
+
+  async countryHistory(name, range) {
+    return store.read('country_snapshots')
+      .filter(row => row.name_lower === name.toLowerCase() && inRange(row, range))
+      .sort(byRecordedAt)
+      .map(row => pick(row, [
+        'refresh_run_id', 'name', 'population', 'currency_code',
+        'exchange_rate', 'estimated_gdp', 'gdp_method', 'recorded_at'
+      ]));
+  },
+
+  async currencyHistory(code, range) {
+    return store.read('currency_snapshots')
+      .filter(row => row.currency_code === code && inRange(row, range))
+      .sort(byRecordedAt)
+      .map(row => pick(row, ['refresh_run_id', 'recorded_at', 'exchange_rate', 'countries']));
+  }
+});
+
+module.exports = createMemorySnapshotRepository;
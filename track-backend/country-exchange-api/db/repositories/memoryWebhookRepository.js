@@ -0,0 +1,104 @@
+// db/repositories/memoryWebhookRepository.js
+// webhooks and their webhook_deliveries queue, kept in the memory store
+const { decimal, copy, updateRows } = require('../memoryStore');
+
+const createMemoryWebhookRepository = (store) => {
+  const webhooks = () => store.read('webhooks');
+  const byId = (a, b) => a.id - b.id;
+
+  return {
+    list: async () => webhooks().slice().sort(byId).map(copy),
+
+    listActive: async () => webhooks().filter(webhook => webhook.active).sort(byId).map(copy),
+
+    async findById(id) {
+      const webhook = webhooks().find(row => row.id === id);
+      return webhook ? copy(webhook) : null;
+    },
+
+    findByIds: async (ids) => webhooks().filter(webhook => ids.includes(webhook.id)).map(copy),
+
+    async create({ url, secret, fields, threshold_pct }) {
+      const webhook = await store.write('webhooks', rows => {
+        const row = {
+          id: store.nextId('webhooks'),
+          url,
+          secret,
+          fields: [...fields],
+          threshold_pct: decimal(threshold_pct, 4),
+          active: true,
+          created_at: new Date()
+        };
+        rows.push(row);
+        return row;
+      });
+      return copy(webhook);
+    },
+
+    async disable(id) {
+      const [disabled] = await store.write('webhooks', rows => updateRows(
+        rows,
+        webhook => webhook.id === id && webhook.active,
+        () => ({ active: false })
+      ));
+      return disabled ? copy(disabled) : null;
+    },
+
+    // ========================================
+    // DELIVERIES
+    // ========================================
+    async queueDelivery(webhookId, refreshRunId, payload) {
+      const now = new Date();
+      await store.write('webhook_deliveries', rows => rows.push({
+        id: store.nextId('webhook_deliveries'),
+        webhook_id: webhookId,
+        refresh_run_id: refreshRunId,
+        payload: copy(payload),
+        status: 'pending',
+        attempts: 0,
+        last_status_code: null,
+        last_error: null,
+        attempt_log: [],
+        next_attempt_at: now,
+        created_at: now,
+        delivered_at: null
+      }));
+    },
+
+    // Claiming is synchronous here, so no two callers can claim the same delivery
+    async claimDueDeliveries(leaseUntil, limit) {
+      const now = new Date();
+      const claimed = await store.write('webhook_deliveries', rows => {
+        const ids = new Set(rows
+          .filter(delivery => delivery.status === 'pending' && delivery.next_attempt_at <= now)
+          .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+          .slice(0, limit)
+          .map(delivery => delivery.id));
+        return updateRows(rows, delivery => ids.has(delivery.id), () => ({ next_attempt_at: new Date(leaseUntil) }));
+      });
+      return claimed.map(copy);
+    },
+
+    async recordAttempt(id, { status, attempts, last_status_code, last_error, attempt_log, next_attempt_at }) {
+      await store.write('webhook_deliveries', rows => updateRows(rows, delivery => delivery.id === id, delivery => ({
+        status,
+        attempts,
+        last_status_code,
+        last_error,
+        attempt_log: copy(attempt_log),
+        next_attempt_at: new Date(next_attempt_at),
+        delivered_at: status === 'succeeded' ? new Date() : delivery.delivered_at
+      })));
+    },
+
+    async listDeliveries(webhookId, { status, limit }) {
+      return store.read('webhook_deliveries')
+        .filter(delivery => delivery.webhook_id === webhookId && (!status || delivery.status === status))
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(copy);
+    }
+  };
+};
+
+module.exports = createMemoryWebhookRepository;
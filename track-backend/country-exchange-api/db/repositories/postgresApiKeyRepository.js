@@ -0,0 +1,41 @@
+// db/repositories/postgresApiKeyRepository.js
+// api_keys: hashed keys with their role and refresh limit
+
+const createPostgresApiKeyRepository = (db) => ({
+  async findActiveByHash(keyHash) {
+    const result = await db.query(
+      `SELECT id, name, role, refresh_limit_per_hour
+       FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL`,
+      [keyHash]
+    );
+    return result.rows[0] || null;
+  },
+
+  async touch(id) {
+    await db.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [id]);
+  },
+
+  async list() {
+    const result = await db.query('SELECT * FROM api_keys ORDER BY id ASC');
+    return result.rows;
+  },
+
+  async create({ name, role, key_hash, refresh_limit_per_hour }) {
+    const result = await db.query(
+      `INSERT INTO api_keys (name, role, key_hash, refresh_limit_per_hour)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [name, role, key_hash, refresh_limit_per_hour]
+    );
+    return result.rows[0];
+  },
+
+  async revoke(id) {
+    const result = await db.query(
+      'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING *',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+});
+
+module.exports = createPostgresApiKeyRepository;
@@ -0,0 +1,48 @@
+// db/repositories/postgresAuditLogRepository.js
+// audit_log: who did what, newest first
+
+const createPostgresAuditLogRepository = (db) => ({
+  async insert({ actor_key_id, actor_name, actor_role, action, target, details, ip }) {
+    await db.query(
+      `INSERT INTO audit_log (actor_key_id, actor_name, actor_role, action, target, details, ip)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7)`,
+      [actor_key_id, actor_name, actor_role, action, target, JSON.stringify(details), ip]
+    );
+  },
+
+  async list(filters, { limit, offset }) {
+    const where = [];
+    const params = [];
+
+    if (filters.action) { params.push(filters.action); where.push(`action = $${params.length}`); }
+    if (filters.actor) { params.push(filters.actor); where.push(`actor_name = $${params.length}`); }
+    if (filters.target) { params.push(filters.target); where.push(`LOWER(target) = LOWER($${params.length})`); }
+    if (filters.from) { params.push(filters.from); where.push(`created_at >= $${params.length}`); }
+    if (filters.to) { params.push(filters.to); where.push(`created_at <= $${params.length}`); }
+
+    const whereSql = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+    const [rows, total] = await Promise.all([
+      db.query(
+        `SELECT * FROM audit_log${whereSql} ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      db.query(`SELECT COUNT(*) AS total FROM audit_log${whereSql}`, params)
+    ]);
+
+    return { rows: rows.rows, total: parseInt(total.rows[0].total) };
+  },
+
+  // How often a key did `action` after `since`, and when the oldest of those was
+  async countSince(actorKeyId, action, since) {
+    const result = await db.query(
+      `SELECT COUNT(*) AS count, MIN(created_at) AS oldest
+       FROM audit_log
+       WHERE actor_key_id = $1 AND action = $2 AND created_at > $3`,
+      [actorKeyId, action, since]
+    );
+    return { count: parseInt(result.rows[0].count), oldest: result.rows[0].oldest };
+  }
+});
+
+module.exports = createPostgresAuditLogRepository;
@@ -0,0 +1,60 @@
+// db/repositories/postgresChangeEventRepository.js
+// country_change_events: what each refresh changed
+const { valuesPlaceholders } = require('../sql');
+
+// Rows per INSERT, well under Postgres' bind parameter limit
+const INSERT_BATCH_SIZE = 100;
+
+const createPostgresChangeEventRepository = (db) => ({
+  async insertMany(refreshRunId, events, detectedAt) {
+    for (let i = 0; i < events.length; i += INSERT_BATCH_SIZE) {
+      const batch = events.slice(i, i + INSERT_BATCH_SIZE);
+      await db.query(
+        `
+        INSERT INTO country_change_events (
+          refresh_run_id, country_name, field, old_value, new_value, change_pct, detected_at
+        ) VALUES ${valuesPlaceholders(batch.length, 7)}
+        `,
+        batch.flatMap(event => [
+          refreshRunId, event.country, event.field,
+          event.old_value == null ? null : String(event.old_value),
+          event.new_value == null ? null : String(event.new_value),
+          event.change_pct, detectedAt
+        ])
+      );
+    }
+  },
+
+  async list(filters, { limit, offset }) {
+    const where = [];
+    const params = [];
+
+    if (filters.country !== undefined) {
+      params.push(filters.country);
+      where.push(`LOWER(country_name) = LOWER($${params.length})`);
+    }
+    if (filters.field !== undefined) { params.push(filters.field); where.push(`field = $${params.length}`); }
+    if (filters.refresh_run_id !== undefined) {
+      params.push(filters.refresh_run_id);
+      where.push(`refresh_run_id = $${params.length}`);
+    }
+    if (filters.min_change_pct !== undefined) {
+      params.push(filters.min_change_pct);
+      where.push(`ABS(change_pct) >= $${params.length}`);
+    }
+
+    const whereSql = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+    const [rows, total] = await Promise.all([
+      db.query(
+        `SELECT * FROM country_change_events${whereSql} ORDER BY detected_at DESC, id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      db.query(`SELECT COUNT(*) AS total FROM country_change_events${whereSql}`, params)
+    ]);
+
+    return { rows: rows.rows, total: parseInt(total.rows[0].total) };
+  }
+});
+
+module.exports = createPostgresChangeEventRepository;
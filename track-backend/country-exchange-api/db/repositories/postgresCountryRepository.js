@@ -0,0 +1,339 @@
+// db/repositories/postgresCountryRepository.js
+// countries and their country_currencies rows
+const Cursor = require('pg-cursor');
+const { valuesPlaceholders, escapeLike } = require('../sql');
+const { COUNTRY_COLUMNS, RANGE_FILTERS } = require('../../utils/countryQuery');
+
+// ========================================
+// QUERY BUILDING
+// ========================================
+// Builds the WHERE clause for parseCountryFilters() output
+function whereClause(filters, params = []) {
+  // Soft-deleted countries never show up in listings, exports or stats
+  const where = ['deleted_at IS NULL'];
+
+  if (filters.region !== undefined) { params.push(filters.region); where.push(`region = $${params.length}`); }
+  if (filters.currency !== undefined) {
+    // Match any currency the country uses, not just the primary one
+    params.push(filters.currency);
+    where.push(`id IN (
+      SELECT country_id FROM country_currencies WHERE currency_code = $${params.length}
+    )`);
+  }
+  if (filters.search !== undefined) {
+    params.push(`%${escapeLike(filters.search)}%`);
+    where.push(`name_lower LIKE $${params.length}`);
+  }
+  for (const [param, [column, comparison]] of Object.entries(RANGE_FILTERS)) {
+    if (filters[param] === undefined) continue;
+    params.push(filters[param]);
+    where.push(`${column} ${comparison} $${params.length}`);
+  }
+
+  return { sql: ` WHERE ${where.join(' AND ')}`, params };
+}
+
+// Ties always break on name so limit/offset pages don't overlap
+const orderBy = ([column, direction]) => (column === 'name'
+  ? `name ${direction}`
+  : `${column} ${direction} NULLS LAST, name ASC`);
+
+function listQuery({ filters, sort, columns = COUNTRY_COLUMNS, limit = null, offset = 0 }) {
+  const { sql, params } = whereClause(filters);
+  let text = `SELECT ${columns.join(', ')} FROM countries${sql} ORDER BY ${orderBy(sort)}`;
+  if (limit !== null) { params.push(limit); text += ` LIMIT $${params.length}`; }
+  if (offset) { params.push(offset); text += ` OFFSET $${params.length}`; }
+  return { text, values: params };
+}
+
+// Aggregates shared by every grouping; `c` is the filtered country, `rate` the rate column to use
+const aggregateColumns = (rate) => `
+  COUNT(DISTINCT c.id) AS country_count,
+  SUM(c.population) AS total_population,
+  PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY c.population) AS median_population,
+  SUM(c.estimated_gdp) AS total_estimated_gdp,
+  MIN(${rate}) AS min_exchange_rate,
+  MAX(${rate}) AS max_exchange_rate,
+  COUNT(*) FILTER (WHERE ${rate} IS NULL) AS countries_missing_rate
+`;
+
+// Rows already carry overrides (see applyOverrides); this also covers one set mid-refresh
+const keepOverride = (column) =>
+  `CASE WHEN '${column}' = ANY(countries.overridden_fields) THEN countries.${column} ELSE EXCLUDED.${column} END`;
+
+// ========================================
+// REPOSITORY
+// ========================================
+/**
+ * `db` is the pool, or a client inside a transaction. batches() needs its own
+ * client for the cursor, so only the pool's repository supports it.
+ */
+const createPostgresCountryRepository = (db) => ({
+  async list(options) {
+    const { text, values } = listQuery(options);
+    const result = await db.query(text, values);
+    return result.rows;
+  },
+
+  async count(filters) {
+    const { sql, params } = whereClause(filters);
+    const result = await db.query(`SELECT COUNT(*) AS total FROM countries${sql}`, params);
+    return parseInt(result.rows[0].total);
+  },
+
+  // Same rows as list(), read through a server-side cursor `size` rows at a time
+  async *batches(options, size) {
+    const { text, values } = listQuery(options);
+    const client = await db.connect();
+    const cursor = client.query(new Cursor(text, values));
+
+    try {
+      for (;;) {
+        const rows = await cursor.read(size);
+        if (rows.length === 0) return;
+        yield rows;
+      }
+    } finally {
+      await cursor.close().catch(() => {});
+      client.release();
+    }
+  },
+
+  async findByName(name) {
+    const result = await db.query(
+      `SELECT ${COUNTRY_COLUMNS.join(', ')} FROM countries WHERE name_lower = LOWER($1) AND deleted_at IS NULL`,
+      [name]
+    );
+    return result.rows[0] || null;
+  },
+
+  async listDeleted() {
+    const result = await db.query(
+      `SELECT ${COUNTRY_COLUMNS.join(', ')}, deleted_at FROM countries
+       WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, name ASC`
+    );
+    return result.rows;
+  },
+
+  async softDelete(name) {
+    const result = await db.query(
+      `UPDATE countries SET deleted_at = NOW()
+       WHERE name_lower = LOWER($1) AND deleted_at IS NULL
+       RETURNING name, deleted_at`,
+      [name]
+    );
+    return result.rows[0] || null;
+  },
+
+  async restore(name) {
+    const result = await db.query(
+      `UPDATE countries SET deleted_at = NULL
+       WHERE name_lower = LOWER($1) AND deleted_at IS NOT NULL
+       RETURNING ${COUNTRY_COLUMNS.join(', ')}`,
+      [name]
+    );
+    return result.rows[0] || null;
+  },
+
+  async summary({ region = null } = {}) {
+    const params = [];
+    let regionSql = '';
+    if (region) {
+      params.push(region);
+      regionSql = ` AND LOWER(region) = LOWER($${params.length})`;
+    }
+    const result = await db.query(
+      `SELECT COUNT(*) AS total, MAX(last_refreshed_at) AS last_refreshed_at, MAX(region) AS region
+       FROM countries WHERE deleted_at IS NULL${regionSql}`,
+      params
+    );
+    const { total, last_refreshed_at, region: storedRegion } = result.rows[0];
+    return { total: parseInt(total), last_refreshed_at, region: storedRegion };
+  },
+
+  async topBy(column, { region = null, limit }) {
+    const params = [];
+    let regionSql = '';
+    if (region) {
+      params.push(region);
+      regionSql = ` AND LOWER(region) = LOWER($${params.length})`;
+    }
+    const result = await db.query(
+      `SELECT name, ${column} AS value
+       FROM countries
+       WHERE ${column} IS NOT NULL AND deleted_at IS NULL${regionSql}
+       ORDER BY ${column}::NUMERIC DESC
+       LIMIT $${params.length + 1}`,
+      [...params, limit]
+    );
+    return result.rows;
+  },
+
+  async currencies(countryIds) {
+    const result = await db.query(
+      `
+      SELECT country_id, currency_code, exchange_rate, is_primary
+      FROM country_currencies
+      WHERE country_id = ANY($1::int[])
+      ORDER BY country_id, is_primary DESC, sort_order ASC
+      `,
+      [countryIds]
+    );
+    return result.rows;
+  },
+
+  async latestRates(codes) {
+    const result = await db.query(
+      `
+      SELECT DISTINCT ON (cc.currency_code)
+        cc.currency_code, cc.exchange_rate, c.last_refreshed_at
+      FROM country_currencies cc
+      JOIN countries c ON c.id = cc.country_id
+      WHERE cc.currency_code = ANY($1) AND c.deleted_at IS NULL
+      ORDER BY cc.currency_code, (cc.exchange_rate IS NULL), c.is_stale, c.last_refreshed_at DESC
+      `,
+      [codes]
+    );
+    return result.rows;
+  },
+
+  async regionStats(filters) {
+    const { sql, params } = whereClause(filters);
+    const result = await db.query(
+      `
+      WITH c AS (SELECT * FROM countries${sql})
+      SELECT c.region, ${aggregateColumns('c.exchange_rate')}
+      FROM c
+      GROUP BY c.region
+      ORDER BY c.region ASC NULLS LAST
+      `,
+      params
+    );
+    return result.rows;
+  },
+
+  async currencyStats(filters) {
+    const { sql, params } = whereClause(filters);
+    const result = await db.query(
+      `
+      WITH c AS (SELECT * FROM countries${sql})
+      SELECT cc.currency_code, ${aggregateColumns('cc.exchange_rate')}
+      FROM c
+      JOIN country_currencies cc ON cc.country_id = c.id
+      GROUP BY cc.currency_code
+      ORDER BY cc.currency_code ASC
+      `,
+      params
+    );
+    return result.rows;
+  },
+
+  // ========================================
+  // REFRESH
+  // ========================================
+  async previousValues() {
+    const result = await db.query(
+      `SELECT c.name_lower, c.population, c.currency_code, c.exchange_rate,
+              cc.exchange_rate AS upstream_rate,
+              c.capital, c.region, c.flag_url, c.overridden_fields, c.deleted_at
+       FROM countries c
+       LEFT JOIN country_currencies cc ON cc.country_id = c.id AND cc.is_primary`
+    );
+    return result.rows;
+  },
+
+  async upsertMany(batch, refreshedAt) {
+    const upserted = await db.query(
+      `
+      INSERT INTO countries (
+        name, capital, region, population, currency_code,
+        exchange_rate, estimated_gdp, gdp_method, flag_url, last_refreshed_at
+      ) VALUES ${valuesPlaceholders(batch.length, 10)}
+      ON CONFLICT (name_lower) DO UPDATE SET
+        capital = ${keepOverride('capital')},
+        region = ${keepOverride('region')},
+        population = EXCLUDED.population,
+        currency_code = EXCLUDED.currency_code,
+        exchange_rate = ${keepOverride('exchange_rate')},
+        estimated_gdp = EXCLUDED.estimated_gdp,
+        gdp_method = EXCLUDED.gdp_method,
+        flag_url = ${keepOverride('flag_url')},
+        last_refreshed_at = EXCLUDED.last_refreshed_at,
+        is_stale = FALSE
+      RETURNING id, name_lower
+      `,
+      batch.flatMap(row => {
+        // A pinned rate (see applyOverrides) is served from here and nowhere else
+        const served = row.served || row;
+        return [
+          row.name, row.capital, row.region, row.population, row.currency_code,
+          served.exchange_rate, served.estimated_gdp, served.gdp_method, row.flag_url, refreshedAt
+        ];
+      })
+    );
+
+    // Replace each country's currency list wholesale so dropped currencies disappear too
+    const idsByName = new Map(upserted.rows.map(row => [row.name_lower, row.id]));
+    await db.query('DELETE FROM country_currencies WHERE country_id = ANY($1::int[])', [[...idsByName.values()]]);
+
+    const currencyRows = batch.flatMap(row => row.currencies.map((currency, index) => [
+      idsByName.get(row.name.toLowerCase()), currency.code, currency.exchange_rate,
+      currency.is_primary, index
+    ]));
+    if (currencyRows.length) {
+      await db.query(
+        `
+        INSERT INTO country_currencies (
+          country_id, currency_code, exchange_rate, is_primary, sort_order
+        ) VALUES ${valuesPlaceholders(currencyRows.length, 5)}
+        `,
+        currencyRows.flat()
+      );
+    }
+  },
+
+  async markMissingStale(refreshedAt) {
+    const result = await db.query(
+      `UPDATE countries SET is_stale = TRUE
+       WHERE last_refreshed_at <> $1 AND NOT is_stale AND deleted_at IS NULL`,
+      [refreshedAt]
+    );
+    return result.rowCount;
+  },
+
+  async removeMissing(refreshedAt) {
+    const result = await db.query(
+      'DELETE FROM countries WHERE last_refreshed_at <> $1 AND deleted_at IS NULL',
+      [refreshedAt]
+    );
+    return result.rowCount;
+  },
+
+  // ========================================
+  // OVERRIDES
+  // ========================================
+  async findForUpdate(name) {
+    const result = await db.query(
+      'SELECT * FROM countries WHERE name_lower = LOWER($1) AND deleted_at IS NULL FOR UPDATE',
+      [name]
+    );
+    return result.rows[0] || null;
+  },
+
+  async updateOverrides(id, values) {
+    const result = await db.query(
+      `UPDATE countries SET
+         capital = $1, region = $2, flag_url = $3, exchange_rate = $4,
+         estimated_gdp = $5, gdp_method = $6, overridden_fields = $7::text[]
+       WHERE id = $8
+       RETURNING ${COUNTRY_COLUMNS.join(', ')}`,
+      [
+        values.capital, values.region, values.flag_url, values.exchange_rate,
+        values.estimated_gdp, values.gdp_method, values.overridden_fields, id
+      ]
+    );
+    return result.rows[0] || null;
+  }
+});
+
+module.exports = createPostgresCountryRepository;
@@ -0,0 +1,65 @@
+// db/repositories/postgresRefreshRunRepository.js
+// refresh_runs: one row per refresh job
+
+// SET list and params for a job's counts and errors; `progress` is { counts, errors }
+const progressColumns = ({ counts, errors }) => ({
+  sql: `countries_processed = $1, inserted = $2, updated = $3, skipped = $4,
+        missing = $5, changes = $6, errors = $7::jsonb`,
+  params: [counts.processed, counts.inserted, counts.updated, counts.skipped,
+    counts.missing, counts.changes, JSON.stringify(errors)]
+});
+
+const createPostgresRefreshRunRepository = (db) => ({
+  async create(trigger) {
+    const result = await db.query('INSERT INTO refresh_runs (trigger) VALUES ($1) RETURNING *', [trigger]);
+    return result.rows[0];
+  },
+
+  async findById(id) {
+    const result = await db.query('SELECT * FROM refresh_runs WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  async list(limit) {
+    const result = await db.query('SELECT * FROM refresh_runs ORDER BY id DESC LIMIT $1', [limit]);
+    return result.rows;
+  },
+
+  async findActiveId() {
+    const result = await db.query(
+      "SELECT id FROM refresh_runs WHERE status IN ('queued', 'running') ORDER BY id DESC LIMIT 1"
+    );
+    return result.rows.length ? result.rows[0].id : null;
+  },
+
+  async failInterrupted() {
+    await db.query(
+      `UPDATE refresh_runs SET status = 'failed', completed_at = NOW(),
+         errors = errors || '["Interrupted before completion"]'::jsonb
+       WHERE status IN ('queued', 'running')`
+    );
+  },
+
+  async markRunning(id, startedAt) {
+    await db.query("UPDATE refresh_runs SET status = 'running', started_at = $1 WHERE id = $2", [startedAt, id]);
+  },
+
+  async setTotal(id, total) {
+    await db.query('UPDATE refresh_runs SET countries_total = $1 WHERE id = $2', [total, id]);
+  },
+
+  async saveProgress(id, progress) {
+    const { sql, params } = progressColumns(progress);
+    await db.query(`UPDATE refresh_runs SET ${sql} WHERE id = $8`, [...params, id]);
+  },
+
+  async finish(id, status, progress, durationMs) {
+    const { sql, params } = progressColumns(progress);
+    await db.query(
+      `UPDATE refresh_runs SET ${sql}, status = $9, completed_at = NOW(), duration_ms = $10 WHERE id = $8`,
+      [...params, id, status, durationMs]
+    );
+  }
+});
+
+module.exports = createPostgresRefreshRunRepository;
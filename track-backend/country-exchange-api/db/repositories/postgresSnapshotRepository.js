@@ -0,0 +1,71 @@
+// db/repositories/postgresSnapshotRepository.js
+// Per-refresh history: country_snapshots and currency_snapshots
+const { valuesPlaceholders } = require('../sql');
+
+// Rows per INSERT, well under Postgres' bind parameter limit
+const INSERT_BATCH_SIZE = 100;
+
+// Appends `from`/`to` bounds on recorded_at and the history order
+const historyQuery = (text, params, { from, to }) => {
+  if (from) { params.push(from); text += ` AND recorded_at >= $${params.length}`; }
+  if (to) { params.push(to); text += ` AND recorded_at <= $${params.length}`; }
+  return { text: `${text} ORDER BY recorded_at ASC, refresh_run_id ASC`, values: params };
+};
+
+const createPostgresSnapshotRepository = (db) => ({
+  async insertCountrySnapshots(refreshRunId, rows, recordedAt) {
+    await db.query(
+      `
+      INSERT INTO country_snapshots (
+        refresh_run_id, name, population, currency_code,
+        exchange_rate, estimated_gdp, gdp_method, recorded_at
+      ) VALUES ${valuesPlaceholders(rows.length, 8)}
+      `,
+      rows.flatMap(row => [
+        refreshRunId, row.name, row.population, row.currency_code,
+        row.exchange_rate, row.estimated_gdp, row.gdp_method, recordedAt
+      ])
+    );
+  },
+
+  async insertCurrencySnapshots(refreshRunId, snapshots, recordedAt) {
+    for (let i = 0; i < snapshots.length; i += INSERT_BATCH_SIZE) {
+      const batch = snapshots.slice(i, i + INSERT_BATCH_SIZE);
+      await db.query(
+        `
+        INSERT INTO currency_snapshots (
+          refresh_run_id, currency_code, exchange_rate, countries, recorded_at
+        ) VALUES ${valuesPlaceholders(batch.length, 5)}
+        `,
+        batch.flatMap(snapshot => [refreshRunId, snapshot.code, snapshot.exchange_rate, snapshot.countries, recordedAt])
+      );
+    }
+  },
+
+  async countryHistory(name, range) {
+    const { text, values } = historyQuery(
+      `SELECT refresh_run_id, name, population, currency_code,
+              exchange_rate, estimated_gdp, gdp_method, recorded_at
+       FROM country_snapshots
+       WHERE name_lower = LOWER($1)`,
+      [name],
+      range
+    );
+    const result = await db.query(text, values);
+    return result.rows;
+  },
+
+  async currencyHistory(code, range) {
+    const { text, values } = historyQuery(
+      `SELECT refresh_run_id, recorded_at, exchange_rate, countries
+       FROM currency_snapshots
+       WHERE currency_code = $1`,
+      [code],
+      range
+    );
+    const result = await db.query(text, values);
+    return result.rows;
+  }
+});
+
+module.exports = createPostgresSnapshotRepository;
@@ -0,0 +1,90 @@
+// db/repositories/postgresWebhookRepository.js
+// webhooks and their webhook_deliveries queue
+
+const createPostgresWebhookRepository = (db) => ({
+  async list() {
+    const result = await db.query('SELECT * FROM webhooks ORDER BY id ASC');
+    return result.rows;
+  },
+
+  async listActive() {
+    const result = await db.query('SELECT * FROM webhooks WHERE active ORDER BY id');
+    return result.rows;
+  },
+
+  async findById(id) {
+    const result = await db.query('SELECT * FROM webhooks WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  async findByIds(ids) {
+    const result = await db.query('SELECT * FROM webhooks WHERE id = ANY($1::int[])', [ids]);
+    return result.rows;
+  },
+
+  async create({ url, secret, fields, threshold_pct }) {
+    const result = await db.query(
+      `INSERT INTO webhooks (url, secret, fields, threshold_pct)
+       VALUES ($1, $2, $3::text[], $4) RETURNING *`,
+      [url, secret, fields, threshold_pct]
+    );
+    return result.rows[0];
+  },
+
+  async disable(id) {
+    const result = await db.query('UPDATE webhooks SET active = FALSE WHERE id = $1 AND active RETURNING *', [id]);
+    return result.rows[0] || null;
+  },
+
+  // ========================================
+  // DELIVERIES
+  // ========================================
+  async queueDelivery(webhookId, refreshRunId, payload) {
+    await db.query(
+      'INSERT INTO webhook_deliveries (webhook_id, refresh_run_id, payload) VALUES ($1, $2, $3::jsonb)',
+      [webhookId, refreshRunId, JSON.stringify(payload)]
+    );
+  },
+
+  async claimDueDeliveries(leaseUntil, limit) {
+    const result = await db.query(
+      `UPDATE webhook_deliveries
+       SET next_attempt_at = $1
+       WHERE id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [leaseUntil, limit]
+    );
+    return result.rows;
+  },
+
+  async recordAttempt(id, { status, attempts, last_status_code, last_error, attempt_log, next_attempt_at }) {
+    await db.query(
+      `UPDATE webhook_deliveries SET
+         status = $1, attempts = $2, last_status_code = $3, last_error = $4,
+         attempt_log = $5::jsonb,
+         next_attempt_at = $6,
+         delivered_at = CASE WHEN $1 = 'succeeded' THEN NOW() ELSE delivered_at END
+       WHERE id = $7`,
+      [status, attempts, last_status_code, last_error, JSON.stringify(attempt_log), next_attempt_at, id]
+    );
+  },
+
+  async listDeliveries(webhookId, { status, limit }) {
+    const params = [webhookId];
+    let query = 'SELECT * FROM webhook_deliveries WHERE webhook_id = $1';
+    if (status) { params.push(status); query += ` AND status = $${params.length}`; }
+    params.push(limit);
+    query += ` ORDER BY id DESC LIMIT $${params.length}`;
+
+    const result = await db.query(query, params);
+    return result.rows;
+  }
+});
+
+module.exports = createPostgresWebhookRepository;
@@ -0,0 +1,15 @@
+// db/sql.js
+// Query-building helpers shared by the postgres repositories
+
+// Builds "($1, $2), ($3, $4)" style placeholders for a multi-row INSERT
+const valuesPlaceholders = (rowCount, columnCount) => Array.from({ length: rowCount }, (_, r) =>
+  `(${Array.from({ length: columnCount }, (_, c) => `$${r * columnCount + c + 1}`).join(', ')})`
+).join(', ');
+
+// Escapes LIKE wildcards so a search for "%" matches a literal percent sign
+const escapeLike = (value) => value.replace(/[\\%_]/g, char => `\\${char}`);
+
+module.exports = {
+  valuesPlaceholders,
+  escapeLike
+};
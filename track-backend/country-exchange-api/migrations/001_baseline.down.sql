@@ -0,0 +1,10 @@
+-- Drops everything the baseline created, data included
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
+DROP TABLE IF EXISTS country_change_events;
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS country_snapshots;
+DROP TABLE IF EXISTS refresh_runs;
+DROP TABLE IF EXISTS country_currencies;
+DROP TABLE IF EXISTS countries;
@@ -0,0 +1,148 @@
+-- Baseline: the schema initDB() used to create. Every statement is idempotent
+-- so deployments that predate migrations can adopt it without changes.
+
+CREATE TABLE IF NOT EXISTS countries (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  name_lower TEXT GENERATED ALWAYS AS (LOWER(name)) STORED,
+  capital TEXT,
+  region TEXT,
+  population BIGINT NOT NULL,
+  currency_code TEXT,
+  exchange_rate NUMERIC(15,4),
+  estimated_gdp NUMERIC(20,2),
+  flag_url TEXT,
+  last_refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT unique_name_lower UNIQUE (name_lower)
+);
+
+CREATE INDEX IF NOT EXISTS idx_region ON countries(region);
+CREATE INDEX IF NOT EXISTS idx_currency ON countries(currency_code);
+CREATE INDEX IF NOT EXISTS idx_gdp ON countries(estimated_gdp DESC NULLS LAST);
+
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS is_stale BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS gdp_method TEXT;
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS overridden_fields TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS country_currencies (
+  country_id INTEGER NOT NULL REFERENCES countries(id) ON DELETE CASCADE,
+  currency_code TEXT NOT NULL,
+  exchange_rate NUMERIC(15,4),
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+  sort_order SMALLINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (country_id, currency_code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_country_currencies_code ON country_currencies(currency_code);
+
+-- Seed from the single-currency column for rows written before the relation existed
+INSERT INTO country_currencies (country_id, currency_code, exchange_rate, is_primary)
+SELECT c.id, c.currency_code, c.exchange_rate, TRUE
+FROM countries c
+LEFT JOIN country_currencies cc ON cc.country_id = c.id
+WHERE c.currency_code IS NOT NULL AND cc.country_id IS NULL;
+
+CREATE TABLE IF NOT EXISTS refresh_runs (
+  id SERIAL PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'queued',
+  trigger TEXT NOT NULL DEFAULT 'manual',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+  countries_total INTEGER,
+  countries_processed INTEGER NOT NULL DEFAULT 0,
+  inserted INTEGER NOT NULL DEFAULT 0,
+  updated INTEGER NOT NULL DEFAULT 0,
+  skipped INTEGER NOT NULL DEFAULT 0,
+  missing INTEGER NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]'
+);
+
+CREATE TABLE IF NOT EXISTS country_snapshots (
+  id SERIAL PRIMARY KEY,
+  refresh_run_id INTEGER NOT NULL REFERENCES refresh_runs(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  name_lower TEXT GENERATED ALWAYS AS (LOWER(name)) STORED,
+  population BIGINT NOT NULL,
+  currency_code TEXT,
+  exchange_rate NUMERIC(15,4),
+  estimated_gdp NUMERIC(20,2),
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE country_snapshots ADD COLUMN IF NOT EXISTS gdp_method TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_snapshot_country ON country_snapshots(name_lower, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_snapshot_currency ON country_snapshots(currency_code, recorded_at);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('reader', 'operator', 'admin')),
+  key_hash TEXT NOT NULL UNIQUE,
+  refresh_limit_per_hour INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  actor_key_id INTEGER,
+  actor_name TEXT NOT NULL,
+  actor_role TEXT,
+  action TEXT NOT NULL,
+  target TEXT,
+  details JSONB NOT NULL DEFAULT '{}',
+  ip TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_actor_action ON audit_log(actor_key_id, action, created_at);
+
+ALTER TABLE refresh_runs ADD COLUMN IF NOT EXISTS changes INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS country_change_events (
+  id SERIAL PRIMARY KEY,
+  refresh_run_id INTEGER NOT NULL REFERENCES refresh_runs(id) ON DELETE CASCADE,
+  country_name TEXT NOT NULL,
+  field TEXT NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  change_pct NUMERIC(12,4),
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_events_run ON country_change_events(refresh_run_id);
+CREATE INDEX IF NOT EXISTS idx_change_events_country ON country_change_events(LOWER(country_name), detected_at);
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id SERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  fields TEXT[] NOT NULL DEFAULT '{exchange_rate}',
+  threshold_pct NUMERIC(8,4) NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  refresh_run_id INTEGER REFERENCES refresh_runs(id) ON DELETE SET NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_status_code INTEGER,
+  last_error TEXT,
+  attempt_log JSONB NOT NULL DEFAULT '[]',
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries(webhook_id, created_at DESC);
@@ -0,0 +1,19 @@
+-- One history point per currency per refresh. country_snapshots only records
+-- each country's primary currency, so secondary currencies had no history.
+CREATE TABLE currency_snapshots (
+  refresh_run_id INTEGER NOT NULL REFERENCES refresh_runs(id) ON DELETE CASCADE,
+  currency_code TEXT NOT NULL,
+  exchange_rate NUMERIC(15,4) NOT NULL,
+  countries INTEGER NOT NULL,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (refresh_run_id, currency_code)
+);
+
+CREATE INDEX idx_currency_snapshot_code ON currency_snapshots(currency_code, recorded_at);
+
+-- Earlier runs only have primary currencies to go on
+INSERT INTO currency_snapshots (refresh_run_id, currency_code, exchange_rate, countries, recorded_at)
+SELECT refresh_run_id, currency_code, MAX(exchange_rate), COUNT(*), MAX(recorded_at)
+FROM country_snapshots
+WHERE currency_code IS NOT NULL AND exchange_rate IS NOT NULL
+GROUP BY refresh_run_id, currency_code;
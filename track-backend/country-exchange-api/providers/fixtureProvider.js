@@ -0,0 +1,33 @@
+// providers/fixtureProvider.js
+const fs = require('fs').promises;
+const path = require('path');
+
+const COUNTRIES_FILE = 'countries.json';
+const RATES_FILE = 'rates.json';
+
+/**
+ * Offline provider: replays captured responses from `countries.json`
+ * and `rates.json` in the fixtures directory.
+ */
+function createFixtureProvider({ fixturesDir }) {
+  const readFixture = async (file) => {
+    const fullPath = path.join(fixturesDir, file);
+    try {
+      return JSON.parse(await fs.readFile(fullPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read fixture ${fullPath}: ${err.message}`);
+    }
+  };
+
+  return {
+    name: 'fixture',
+    fetchCountries: () => readFixture(COUNTRIES_FILE),
+    fetchRates: () => readFixture(RATES_FILE)
+  };
+}
+
+module.exports = {
+  COUNTRIES_FILE,
+  RATES_FILE,
+  createFixtureProvider
+};
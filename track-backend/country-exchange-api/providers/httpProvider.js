@@ -0,0 +1,31 @@
+// providers/httpProvider.js
+const axios = require('axios');
+
+const COUNTRY_FIELDS = 'name,capital,region,population,flag,currencies';
+
+/**
+ * Live provider: fetches from restcountries.com and open.er-api.com,
+ * or from whatever compatible hosts the base URLs point at.
+ */
+function createHttpProvider({ countriesBaseUrl, ratesBaseUrl, timeout }) {
+  const trim = (url) => url.replace(/\/+$/, '');
+
+  return {
+    name: 'http',
+
+    async fetchCountries() {
+      const resp = await axios.get(
+        `${trim(countriesBaseUrl)}/all?fields=${COUNTRY_FIELDS}`,
+        { timeout }
+      );
+      return resp.data;
+    },
+
+    async fetchRates() {
+      const resp = await axios.get(`${trim(ratesBaseUrl)}/latest/USD`, { timeout });
+      return resp.data;
+    }
+  };
+}
+
+module.exports = createHttpProvider;
@@ -0,0 +1,41 @@
+// providers/index.js
+const path = require('path');
+const createHttpProvider = require('./httpProvider');
+const { createFixtureProvider } = require('./fixtureProvider');
+const createRecordingProvider = require('./recordingProvider');
+
+const UPSTREAM_MODES = ['live', 'fixture', 'record'];
+
+/**
+ * Upstream data sources for the refresh. Every provider exposes:
+ *   fetchCountries() -> restcountries v2 style array
+ *   fetchRates()     -> open.er-api.com style { rates: { CODE: rate } } (USD base)
+ *
+ * Configured with UPSTREAM_MODE (live | fixture | record), COUNTRIES_API_URL,
+ * RATES_API_URL, UPSTREAM_TIMEOUT_MS and FIXTURES_DIR.
+ */
+function createUpstreamProvider(env = process.env) {
+  const mode = (env.UPSTREAM_MODE || 'live').toLowerCase();
+  if (!UPSTREAM_MODES.includes(mode)) {
+    throw new Error(`UPSTREAM_MODE must be one of: ${UPSTREAM_MODES.join(', ')}`);
+  }
+
+  // Recording overwrites files, so it never falls back to the checked-in samples
+  if (mode === 'record' && !env.FIXTURES_DIR) {
+    throw new Error('UPSTREAM_MODE=record needs FIXTURES_DIR set to the directory to record into');
+  }
+
+  const fixturesDir = path.resolve(env.FIXTURES_DIR || path.join(__dirname, '..', 'fixtures'));
+  if (mode === 'fixture') return createFixtureProvider({ fixturesDir });
+
+  const live = createHttpProvider({
+    countriesBaseUrl: env.COUNTRIES_API_URL || 'https://restcountries.com/v2',
+    ratesBaseUrl: env.RATES_API_URL || 'https://open.er-api.com/v6',
+    timeout: parseInt(env.UPSTREAM_TIMEOUT_MS) || 10000
+  });
+  return mode === 'record' ? createRecordingProvider(live, { fixturesDir }) : live;
+}
+
+module.exports = {
+  createUpstreamProvider
+};
@@ -0,0 +1,25 @@
+// providers/recordingProvider.js
+const fs = require('fs').promises;
+const path = require('path');
+const { COUNTRIES_FILE, RATES_FILE } = require('./fixtureProvider');
+
+/**
+ * Record mode: passes calls through to another provider and saves each
+ * response into the fixtures directory for later replay.
+ */
+function createRecordingProvider(inner, { fixturesDir }) {
+  const record = async (file, data) => {
+    await fs.mkdir(fixturesDir, { recursive: true });
+    await fs.writeFile(path.join(fixturesDir, file), JSON.stringify(data, null, 2) + '\n');
+    console.log('Recorded upstream response:', path.join(fixturesDir, file));
+    return data;
+  };
+
+  return {
+    name: `recording(${inner.name})`,
+    fetchCountries: async () => record(COUNTRIES_FILE, await inner.fetchCountries()),
+    fetchRates: async () => record(RATES_FILE, await inner.fetchRates())
+  };
+}
+
+module.exports = createRecordingProvider;
@@ -0,0 +1,105 @@
+// routes/admin.js
+const express = require('express');
+const db = require('../db');
+const { ROLES, hashKey, generateKey, requireRole } = require('../utils/auth');
+const { auditRequest, listAuditLog } = require('../utils/auditLog');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+// Never expose key_hash
+const formatApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  role: row.role,
+  refresh_limit_per_hour: row.refresh_limit_per_hour,
+  created_at: row.created_at,
+  last_used_at: row.last_used_at,
+  revoked_at: row.revoked_at
+});
+
+// ========================================
+// POST /admin/api-keys
+// ========================================
+router.post('/api-keys', async (req, res) => {
+  const { name, role, refresh_limit_per_hour } = req.body || {};
+  if (typeof name !== 'string' || name.trim() === '') {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (refresh_limit_per_hour != null
+    && (!Number.isInteger(refresh_limit_per_hour) || refresh_limit_per_hour < 0)) {
+    return res.status(400).json({ error: 'refresh_limit_per_hour must be a non-negative integer' });
+  }
+
+  try {
+    const key = generateKey();
+    const created = await db.apiKeys.create({
+      name: name.trim(),
+      role,
+      key_hash: hashKey(key),
+      refresh_limit_per_hour: refresh_limit_per_hour ?? null
+    });
+    await auditRequest(req, 'api_key.create', created.id, { name: created.name, role });
+
+    // The plaintext key is only ever returned here
+    res.status(201).json({ ...formatApiKey(created), key });
+  } catch (err) {
+    console.error('POST /admin/api-keys error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================================
+// GET /admin/api-keys
+// ========================================
+router.get('/api-keys', async (req, res) => {
+  try {
+    const keys = await db.apiKeys.list();
+    res.json(keys.map(formatApiKey));
+  } catch (err) {
+    console.error('GET /admin/api-keys error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================================
+// DELETE /admin/api-keys/:id
+// ========================================
+router.delete('/api-keys/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ error: 'Key id must be a positive integer' });
+  }
+
+  try {
+    const revoked = await db.apiKeys.revoke(id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+    await auditRequest(req, 'api_key.revoke', id, { name: revoked.name });
+    res.json({ message: 'API key revoked', key: formatApiKey(revoked) });
+  } catch (err) {
+    console.error('DELETE /admin/api-keys/:id error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================================
+// GET /admin/audit-log
+// ========================================
+router.get('/audit-log', async (req, res) => {
+  try {
+    res.json(await listAuditLog(req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+    console.error('GET /admin/audit-log error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+// routes/webhooks.js
+const express = require('express');
+const db = require('../db');
+const { requireRole } = require('../utils/auth');
+const { auditRequest } = require('../utils/auditLog');
+const { FIELDS } = require('../utils/changeDetection');
+const { getDefaultThreshold, generateSecret } = require('../utils/webhooks');
+const { isHttpUrl } = require('../utils/values');
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Never expose the signing secret after creation
+const formatWebhook = (row) => ({
+  id: row.id,
+  url: row.url,
+  fields: row.fields,
+  threshold_pct: Number(row.threshold_pct),
+  active: row.active,
+  created_at: row.created_at
+});
+
+const formatDelivery = (row) => ({
+  id: row.id,
+  webhook_id: row.webhook_id,
+  refresh_run_id: row.refresh_run_id,
+  status: row.status,
+  attempts: row.attempts,
+  last_status_code: row.last_status_code,
+  last_error: row.last_error,
+  next_attempt_at: row.status === 'pending' ? row.next_attempt_at : null,
+  created_at: row.created_at,
+  delivered_at: row.delivered_at,
+  attempt_log: row.attempt_log,
+  payload: row.payload
+});
+
+const parseWebhookId = (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    res.status(400).json({ error: 'Webhook id must be a positive integer' });
+    return null;
+  }
+  return id;
+};
+
+// ========================================
+// POST /webhooks
+// ========================================
+router.post('/', async (req, res) => {
+  const { url, secret, fields = ['exchange_rate'], threshold_pct } = req.body || {};
+  if (typeof url !== 'string' || !isHttpUrl(url)) {
+    return res.status(400).json({ error: 'url must be an http(s) URL' });
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return res.status(400).json({ error: 'secret must be a string of at least 16 characters' });
+  }
+  if (!Array.isArray(fields) || fields.length === 0 || !fields.every(field => FIELDS.includes(field))) {
+    return res.status(400).json({ error: `fields must be a non-empty array of: ${FIELDS.join(', ')}` });
+  }
+  if (threshold_pct !== undefined
+    && (typeof threshold_pct !== 'number' || !Number.isFinite(threshold_pct) || threshold_pct < 0)) {
+    return res.status(400).json({ error: 'threshold_pct must be a non-negative number' });
+  }
+
+  try {
+    const signingSecret = secret || generateSecret();
+    const created = await db.webhooks.create({
+      url,
+      secret: signingSecret,
+      fields: [...new Set(fields)],
+      threshold_pct: threshold_pct ?? getDefaultThreshold()
+    });
+    await auditRequest(req, 'webhook.create', created.id, { url: created.url });
+
+    // The secret is only ever returned here
+    res.status(201).json({ ...formatWebhook(created), secret: signingSecret });
+  } catch (err) {
+    console.error('POST /webhooks error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================================
+// GET /webhooks
+// ========================================
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await db.webhooks.list();
+    res.json(webhooks.map(formatWebhook));
+  } catch (err) {
+    console.error('GET /webhooks error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================================
+// DELETE /webhooks/:id
+// ========================================
+router.delete('/:id', async (req, res) => {
+  const id = parseWebhookId(req, res);
+  if (id === null) return;
+
+  try {
+    // Deactivate rather than delete so the delivery log stays available
+    const disabled = await db.webhooks.disable(id);
+    if (!disabled) {
+      return res.status(404).json({ error: 'Webhook not found or already disabled' });
+    }
+    await auditRequest(req, 'webhook.disable', id, { url: disabled.url });
+    res.json({ message: 'Webhook disabled', webhook: formatWebhook(disabled) });
+  } catch (err) {
+    console.error('DELETE /webhooks/:id error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================================
+// GET /webhooks/:id/deliveries
+// ========================================
+router.get('/:id/deliveries', async (req, res) => {
+  const id = parseWebhookId(req, res);
+  if (id === null) return;
+
+  const { status } = req.query;
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 200' });
+  }
+
+  try {
+    if (!(await db.webhooks.findById(id))) return res.status(404).json({ error: 'Webhook not found' });
+
+    const deliveries = await db.webhooks.listDeliveries(id, { status, limit });
+    res.json(deliveries.map(formatDelivery));
+  } catch (err) {
+    console.error('GET /webhooks/:id/deliveries error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
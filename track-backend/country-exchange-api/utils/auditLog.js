@@ -0,0 +1,70 @@
+// utils/auditLog.js
+const db = require('../db');
+const HttpError = require('./httpError');
+
+// Actor used for work the server starts on its own (e.g. scheduled refreshes)
+const SYSTEM_ACTOR = { id: null, name: 'scheduler', role: 'system' };
+
+/**
+ * Records who did what. `actor` is req.apiKey (or SYSTEM_ACTOR); `target`
+ * identifies the affected resource, e.g. a country name or refresh job id.
+ */
+async function recordAudit({ actor, action, target = null, details = {}, ip = null }) {
+  await db.auditLog.insert({
+    actor_key_id: actor ? actor.id : null,
+    actor_name: actor ? actor.name : 'anonymous',
+    actor_role: actor ? actor.role : null,
+    action,
+    target: target == null ? null : String(target),
+    details,
+    ip
+  });
+}
+
+// Same as recordAudit, pulling actor and IP from an Express request
+const auditRequest = (req, action, target, details) => recordAudit({
+  actor: req.apiKey,
+  action,
+  target,
+  details,
+  ip: req.ip
+});
+
+const parseDate = (value, param) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new HttpError(400, `${param} must be a valid ISO 8601 date`);
+  return date;
+};
+
+/**
+ * Lists audit entries, newest first. Supports action, actor, target, from, to,
+ * limit (1-500, default 100) and offset filters.
+ */
+async function listAuditLog(query) {
+  const filters = {
+    action: query.action || undefined,
+    actor: query.actor || undefined,
+    target: query.target || undefined,
+    from: query.from ? parseDate(query.from, 'from') : undefined,
+    to: query.to ? parseDate(query.to, 'to') : undefined
+  };
+
+  const limit = query.limit === undefined ? 100 : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    throw new HttpError(400, 'limit must be an integer between 1 and 500');
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new HttpError(400, 'offset must be a non-negative integer');
+  }
+
+  const { rows, total } = await db.auditLog.list(filters, { limit, offset });
+  return { total, limit, offset, entries: rows };
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  recordAudit,
+  auditRequest,
+  listAuditLog
+};
@@ -0,0 +1,114 @@
+// utils/auth.js
+const crypto = require('crypto');
+const db = require('../db');
+
+// Each role can do everything the roles before it can
+const ROLES = ['reader', 'operator', 'admin'];
+
+// Synthetic key id for ADMIN_API_KEY, which lives in the environment rather than api_keys
+const BOOTSTRAP_KEY_ID = 0;
+const DEFAULT_REFRESH_LIMIT_PER_HOUR = 10;
+const HOUR_MS = 60 * 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateKey = () => `cx_${crypto.randomBytes(24).toString('hex')}`;
+
+const hasRole = (actual, required) => ROLES.indexOf(actual) >= ROLES.indexOf(required);
+
+// Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const extractKey = (req) => {
+  const header = req.get('authorization');
+  if (header && /^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, '').trim();
+  return req.get('x-api-key') || null;
+};
+
+const matchesBootstrapKey = (key) => {
+  const bootstrap = process.env.ADMIN_API_KEY;
+  if (!bootstrap) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(bootstrap), 'hex'));
+};
+
+// ========================================
+// MIDDLEWARE
+// ========================================
+/**
+ * Resolves the caller's key into req.apiKey ({ id, name, role, refresh_limit_per_hour }).
+ * Requests without a key pass through anonymously; an unknown or revoked key is a 401.
+ */
+async function authenticate(req, res, next) {
+  const key = extractKey(req);
+  if (!key) return next();
+
+  try {
+    if (matchesBootstrapKey(key)) {
+      req.apiKey = { id: BOOTSTRAP_KEY_ID, name: 'bootstrap-admin', role: 'admin', refresh_limit_per_hour: null };
+      return next();
+    }
+
+    const apiKey = await db.apiKeys.findActiveByHash(hashKey(key));
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    req.apiKey = apiKey;
+    db.apiKeys.touch(apiKey.id)
+      .catch(err => console.error('API key last_used_at update failed:', err.message));
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Rejects callers without a key (401) or with a lower role (403)
+const requireRole = (role) => (req, res, next) => {
+  if (!req.apiKey) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+  if (!hasRole(req.apiKey.role, role)) {
+    return res.status(403).json({ error: `Requires ${role} role` });
+  }
+  next();
+};
+
+// Read endpoints stay public unless REQUIRE_AUTH_FOR_READS=true
+const requireReadAccess = (req, res, next) => {
+  if (process.env.REQUIRE_AUTH_FOR_READS !== 'true') return next();
+  return requireRole('reader')(req, res, next);
+};
+
+/**
+ * Caps refreshes per key per rolling hour, counted from the audit log so the
+ * limit holds across instances. Uses the key's refresh_limit_per_hour, else
+ * REFRESH_RATE_LIMIT_PER_HOUR (default 10).
+ */
+async function refreshRateLimit(req, res, next) {
+  const limit = req.apiKey.refresh_limit_per_hour
+    ?? (parseInt(process.env.REFRESH_RATE_LIMIT_PER_HOUR) || DEFAULT_REFRESH_LIMIT_PER_HOUR);
+
+  try {
+    const since = new Date(Date.now() - HOUR_MS);
+    const { count: used, oldest } = await db.auditLog.countSince(req.apiKey.id, 'refresh.start', since);
+
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(Math.max(limit - used, 0)));
+    if (used >= limit) {
+      const retryAfterMs = new Date(oldest).getTime() + HOUR_MS - Date.now();
+      res.set('Retry-After', String(Math.max(Math.ceil(retryAfterMs / 1000), 1)));
+      return res.status(429).json({ error: `Refresh limit of ${limit} per hour reached for this API key` });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  ROLES,
+  hashKey,
+  generateKey,
+  authenticate,
+  requireRole,
+  requireReadAccess,
+  refreshRateLimit
+};
@@ -0,0 +1,125 @@
+// utils/changeDetection.js
+const db = require('../db');
+const HttpError = require('./httpError');
+
+const FIELDS = ['exchange_rate', 'population', 'currency_code'];
+
+// Rates are stored as NUMERIC(15,4); compare at that precision to avoid phantom changes
+const roundRate = (value) => (value == null ? null : Math.round(Number(value) * 10000) / 10000);
+
+const percentChange = (oldValue, newValue) => {
+  if (oldValue == null || newValue == null || Number(oldValue) === 0) return null;
+  const pct = ((Number(newValue) - Number(oldValue)) / Number(oldValue)) * 100;
+  // Same precision as the change_pct column, so payloads match what /changes reports
+  return Math.round(pct * 10000) / 10000;
+};
+
+/**
+ * Loads the values a refresh compares against (and the overrides it must keep),
+ * keyed by lowercased name. `exchange_rate` is the served, possibly pinned rate;
+ * `upstream_rate` is the primary currency's last upstream rate, which is what
+ * changes are detected on. Takes the refresh transaction's countries repository
+ * and must run before any upsert.
+ */
+async function loadPreviousValues(countries) {
+  const rows = await countries.previousValues();
+  return new Map(rows.map(row => [row.name_lower, row]));
+}
+
+/**
+ * Diffs freshly built country rows against their previous values. Returns one
+ * event per changed field: exchange_rate, population or currency_code.
+ * Countries seen for the first time produce no events.
+ */
+function detectChanges(previous, rows) {
+  const events = [];
+
+  for (const row of rows) {
+    const before = previous.get(row.name.toLowerCase());
+    if (!before) continue;
+
+    const oldRate = roundRate(before.upstream_rate);
+    const newRate = roundRate(row.exchange_rate);
+    if (before.currency_code !== row.currency_code) {
+      events.push({
+        country: row.name, field: 'currency_code',
+        old_value: before.currency_code, new_value: row.currency_code, change_pct: null
+      });
+    } else if (oldRate !== newRate) {
+      events.push({
+        country: row.name, field: 'exchange_rate',
+        old_value: oldRate, new_value: newRate, change_pct: percentChange(oldRate, newRate)
+      });
+    }
+
+    if (Number(before.population) !== Number(row.population)) {
+      events.push({
+        country: row.name, field: 'population',
+        old_value: Number(before.population), new_value: Number(row.population),
+        change_pct: percentChange(before.population, row.population)
+      });
+    }
+  }
+
+  return events;
+}
+
+const formatChangeEvent = (row) => ({
+  id: row.id,
+  refresh_run_id: row.refresh_run_id,
+  country: row.country_name,
+  field: row.field,
+  old_value: row.old_value,
+  new_value: row.new_value,
+  change_pct: row.change_pct == null ? null : Number(row.change_pct),
+  detected_at: new Date(row.detected_at).toISOString()
+});
+
+/**
+ * Lists stored change events, newest first. Supports country, field,
+ * refresh_run_id, min_change_pct (absolute), limit (1-500, default 100) and offset.
+ */
+async function listChanges(query) {
+  const filters = {};
+
+  if (query.country) filters.country = query.country;
+  if (query.field !== undefined) {
+    if (!FIELDS.includes(query.field)) {
+      throw new HttpError(400, `field must be one of: ${FIELDS.join(', ')}`);
+    }
+    filters.field = query.field;
+  }
+  if (query.refresh_run_id !== undefined) {
+    const runId = Number(query.refresh_run_id);
+    if (!Number.isInteger(runId) || runId < 1) {
+      throw new HttpError(400, 'refresh_run_id must be a positive integer');
+    }
+    filters.refresh_run_id = runId;
+  }
+  if (query.min_change_pct !== undefined) {
+    const minPct = Number(query.min_change_pct);
+    if (query.min_change_pct === '' || !Number.isFinite(minPct) || minPct < 0) {
+      throw new HttpError(400, 'min_change_pct must be a non-negative number');
+    }
+    filters.min_change_pct = minPct;
+  }
+
+  const limit = query.limit === undefined ? 100 : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    throw new HttpError(400, 'limit must be an integer between 1 and 500');
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new HttpError(400, 'offset must be a non-negative integer');
+  }
+
+  const { rows, total } = await db.changeEvents.list(filters, { limit, offset });
+  return { total, limit, offset, changes: rows.map(formatChangeEvent) };
+}
+
+module.exports = {
+  FIELDS,
+  loadPreviousValues,
+  detectChanges,
+  listChanges
+};
@@ -0,0 +1,26 @@
+// utils/countryCurrencies.js
+const db = require('../db');
+const { toNumberOrNull } = require('./values');
+
+// Adds a `currencies` list (primary first) to each country row
+async function attachCurrencies(rows) {
+  if (rows.length === 0) return rows;
+
+  const currencies = await db.countries.currencies(rows.map(row => row.id));
+
+  const byCountry = new Map();
+  for (const currency of currencies) {
+    if (!byCountry.has(currency.country_id)) byCountry.set(currency.country_id, []);
+    byCountry.get(currency.country_id).push({
+      code: currency.currency_code,
+      exchange_rate: toNumberOrNull(currency.exchange_rate),
+      is_primary: currency.is_primary
+    });
+  }
+
+  return rows.map(row => ({ ...row, currencies: byCountry.get(row.id) || [] }));
+}
+
+module.exports = {
+  attachCurrencies
+};
@@ -0,0 +1,153 @@
+// utils/countryExport.js
+const ExcelJS = require('exceljs');
+const db = require('../db');
+const { attachCurrencies } = require('./countryCurrencies');
+const HttpError = require('./httpError');
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const FORMATS = {
+  json: { mime: 'application/json' },
+  csv: { mime: 'text/csv', extension: 'csv' },
+  ndjson: { mime: 'application/x-ndjson', extension: 'ndjson' },
+  xlsx: { mime: XLSX_MIME, extension: 'xlsx' }
+};
+
+const CURSOR_BATCH_SIZE = 500;
+
+// Columns exported when no `fields=` projection is given
+const DEFAULT_COLUMNS = [
+  'name', 'capital', 'region', 'population', 'currency_code', 'exchange_rate',
+  'estimated_gdp', 'gdp_method', 'flag_url', 'last_refreshed_at', 'is_stale', 'overridden_fields',
+  'currencies'
+];
+
+/**
+ * Picks the response format from `format=` or, failing that, the Accept header.
+ * Returns 'json' for regular API responses.
+ */
+function resolveExportFormat(req) {
+  if (req.query.format !== undefined) {
+    const format = String(req.query.format).toLowerCase();
+    if (!FORMATS[format]) {
+      throw new HttpError(400, `format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return format;
+  }
+
+  const accepted = req.accepts(Object.values(FORMATS).map(format => format.mime));
+  const match = Object.keys(FORMATS).find(format => FORMATS[format].mime === accepted);
+  return match || 'json';
+}
+
+// ========================================
+// CELL FORMATTING
+// ========================================
+// Flat value for CSV/XLSX cells; lists collapse to "USD;ZWL"
+const flatValue = (row, column) => {
+  const value = row[column];
+  if (value == null) return null;
+  if (column === 'currencies') return value.map(currency => currency.code).join(';');
+  if (Array.isArray(value)) return value.join(';');
+  if (value instanceof Date) return value.toISOString();
+  if (['population', 'exchange_rate', 'estimated_gdp'].includes(column)) return Number(value);
+  return value;
+};
+
+const csvCell = (value) => {
+  if (value == null) return '';
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating upstream text as a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const jsonRow = (row, columns) => Object.fromEntries(columns.map(column => {
+  const value = row[column];
+  if (value instanceof Date) return [column, value.toISOString()];
+  if (['population', 'exchange_rate', 'estimated_gdp'].includes(column)) {
+    return [column, value == null ? null : Number(value)];
+  }
+  return [column, value === undefined ? null : value];
+}));
+
+// ========================================
+// STREAMING
+// ========================================
+/**
+ * Reads the listing in batches (a server-side cursor on postgres) and hands
+ * each one (with currencies attached when needed) to onBatch. Stops early once
+ * the client has gone away; leaving the loop closes the cursor.
+ */
+async function forEachBatch(res, listQuery, withCurrencies, onBatch) {
+  for await (const rows of db.countries.batches(listQuery, CURSOR_BATCH_SIZE)) {
+    if (res.destroyed) break;
+    await onBatch(withCurrencies ? await attachCurrencies(rows) : rows);
+  }
+}
+
+/**
+ * Waits for the response to drain when the client reads slower than we query.
+ * Also settles when the connection closes or errors, since 'drain' never
+ * fires on a response the client has aborted.
+ */
+const write = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed || res.write(chunk)) return resolve();
+
+  const settle = (err) => {
+    res.off('drain', settle);
+    res.off('close', settle);
+    res.off('error', settle);
+    if (err) reject(err);
+    else resolve();
+  };
+  res.on('drain', settle);
+  res.on('close', settle);
+  res.on('error', settle);
+});
+
+/**
+ * Streams the countries matched by a parseCountryListQuery() result as CSV,
+ * NDJSON or XLSX, honouring its filters, sort, limit/offset and fields.
+ */
+async function streamCountryExport(res, format, listQuery) {
+  const { fields } = listQuery;
+  const columns = fields || DEFAULT_COLUMNS;
+  const withCurrencies = columns.includes('currencies');
+
+  res.status(200);
+  res.set('Content-Type', FORMATS[format].mime);
+  res.set('Content-Disposition', `attachment; filename="countries.${FORMATS[format].extension}"`);
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Countries');
+    sheet.columns = columns.map(column => ({ header: column, key: column, width: 18 }));
+    sheet.getRow(1).font = { bold: true };
+
+    await forEachBatch(res, listQuery, withCurrencies, rows => {
+      rows.forEach(row => {
+        sheet.addRow(Object.fromEntries(columns.map(column => [column, flatValue(row, column)]))).commit();
+      });
+    });
+    if (res.destroyed) return;
+    sheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  if (format === 'csv') await write(res, `${columns.join(',')}\r\n`);
+
+  await forEachBatch(res, listQuery, withCurrencies, async rows => {
+    const chunk = format === 'csv'
+      ? rows.map(row => `${columns.map(column => csvCell(flatValue(row, column))).join(',')}\r\n`).join('')
+      : rows.map(row => `${JSON.stringify(jsonRow(row, columns))}\n`).join('');
+    await write(res, chunk);
+  });
+  if (!res.destroyed) res.end();
+}
+
+module.exports = {
+  resolveExportFormat,
+  streamCountryExport
+};
@@ -0,0 +1,139 @@
+// utils/countryOverrides.js
+const db = require('../db');
+const HttpError = require('./httpError');
+const { createGdpEstimator } = require('./gdpEstimator');
+const { isHttpUrl } = require('./values');
+
+// Fields a client may set by hand; refreshes leave them alone until the override is released
+const OVERRIDABLE_FIELDS = ['capital', 'region', 'flag_url', 'exchange_rate'];
+
+const VALIDATORS = {
+  capital: (value) => typeof value === 'string' && value.trim() !== '' && value.length <= 200,
+  region: (value) => typeof value === 'string' && value.trim() !== '' && value.length <= 100,
+  flag_url: (value) => typeof value === 'string' && isHttpUrl(value),
+  exchange_rate: (value) => typeof value === 'number' && Number.isFinite(value) && value > 0
+};
+
+const VALIDATION_MESSAGES = {
+  capital: 'capital must be a non-empty string of at most 200 characters',
+  region: 'region must be a non-empty string of at most 100 characters',
+  flag_url: 'flag_url must be an http(s) URL',
+  exchange_rate: 'exchange_rate must be a positive number'
+};
+
+/**
+ * Validates a PUT/PATCH body into { set, release }. PUT replaces the whole
+ * override set, so every field it omits is released. PATCH follows JSON merge
+ * patch: listed fields are overridden and `null` releases an override.
+ */
+function parseOverrideBody(body, { replace }) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Body must be a JSON object');
+  }
+
+  const unknown = Object.keys(body).filter(key => !OVERRIDABLE_FIELDS.includes(key));
+  if (unknown.length) {
+    throw new HttpError(400, `Unknown field(s): ${unknown.join(', ')}. Allowed: ${OVERRIDABLE_FIELDS.join(', ')}`);
+  }
+
+  const set = {};
+  const release = [];
+  for (const field of OVERRIDABLE_FIELDS) {
+    if (!(field in body)) {
+      if (replace) release.push(field);
+      continue;
+    }
+    const value = body[field];
+    if (value === null) {
+      release.push(field);
+      continue;
+    }
+    if (!VALIDATORS[field](value)) throw new HttpError(400, VALIDATION_MESSAGES[field]);
+    set[field] = typeof value === 'string' ? value.trim() : value;
+  }
+
+  return { set, release };
+}
+
+// ========================================
+// REFRESH SUPPORT
+// ========================================
+/**
+ * Puts a country's overridden values back onto rows built from upstream data,
+ * so a refresh writes (and diffs) what clients set by hand. A pinned exchange
+ * rate is kept apart in `row.served`, along with the GDP estimate it implies:
+ * only the countries table gets those, while currencies, snapshots and change
+ * detection keep the upstream rate.
+ */
+function applyOverrides(rows, previous, estimator) {
+  for (const row of rows) {
+    const before = previous.get(row.name.toLowerCase());
+    if (!before || !before.overridden_fields || before.overridden_fields.length === 0) continue;
+
+    for (const field of before.overridden_fields) {
+      if (field !== 'exchange_rate') row[field] = before[field];
+    }
+
+    if (before.overridden_fields.includes('exchange_rate') && row.currency_code) {
+      const exchange_rate = Number(before.exchange_rate);
+      const estimate = estimator.estimate({ name: row.name, population: row.population, exchange_rate });
+      row.served = { exchange_rate, estimated_gdp: estimate.estimated_gdp, gdp_method: estimate.gdp_method };
+    }
+  }
+  return rows;
+}
+
+// ========================================
+// UPDATES
+// ========================================
+/**
+ * Applies a parsed override body to a country and returns the updated row,
+ * or null when the country doesn't exist. Released fields keep their current
+ * value until the next refresh replaces it with upstream data.
+ */
+async function updateCountryOverrides(name, { set, release }) {
+  return db.transaction(async tx => {
+    const country = await tx.countries.findForUpdate(name);
+    if (!country) return null;
+
+    const overridden = new Set(country.overridden_fields || []);
+    release.forEach(field => overridden.delete(field));
+    Object.keys(set).forEach(field => overridden.add(field));
+
+    const values = {
+      capital: country.capital,
+      region: country.region,
+      flag_url: country.flag_url,
+      exchange_rate: country.exchange_rate,
+      estimated_gdp: country.estimated_gdp,
+      gdp_method: country.gdp_method,
+      ...set
+    };
+
+    if (set.exchange_rate !== undefined) {
+      if (!country.currency_code) {
+        throw new HttpError(422, 'Country has no currency to pin an exchange rate for');
+      }
+      const estimator = await createGdpEstimator();
+      const estimate = estimator.estimate({
+        name: country.name,
+        population: Number(country.population),
+        exchange_rate: set.exchange_rate
+      });
+      values.estimated_gdp = estimate.estimated_gdp;
+      values.gdp_method = estimate.gdp_method;
+    }
+
+    return tx.countries.updateOverrides(country.id, {
+      ...values,
+      overridden_fields: OVERRIDABLE_FIELDS.filter(field => overridden.has(field))
+    });
+  });
+}
+
+module.exports = {
+  OVERRIDABLE_FIELDS,
+  parseOverrideBody,
+  applyOverrides,
+  updateCountryOverrides
+};
@@ -0,0 +1,154 @@
+// utils/countryQuery.js
+const HttpError = require('./httpError');
+
+const MAX_LIMIT = 250;
+
+// Columns a client may request through `fields=`; `currencies` comes from country_currencies
+const SELECTABLE_FIELDS = [
+  'id', 'name', 'capital', 'region', 'population', 'currency_code', 'exchange_rate',
+  'estimated_gdp', 'gdp_method', 'flag_url', 'last_refreshed_at', 'is_stale', 'overridden_fields',
+  'currencies'
+];
+
+// What a country row looks like to clients; leaves out internal columns such as name_lower and deleted_at
+const COUNTRY_COLUMNS = SELECTABLE_FIELDS.filter(field => field !== 'currencies');
+
+// Sort keys as [column, direction]. Both drivers put NULLs last and break ties
+// on name, so limit/offset pages don't overlap
+const SORTS = {
+  name_asc: ['name', 'ASC'],
+  name_desc: ['name', 'DESC'],
+  gdp_desc: ['estimated_gdp', 'DESC'],
+  gdp_asc: ['estimated_gdp', 'ASC'],
+  population_desc: ['population', 'DESC'],
+  population_asc: ['population', 'ASC'],
+  exchange_rate_desc: ['exchange_rate', 'DESC'],
+  exchange_rate_asc: ['exchange_rate', 'ASC']
+};
+
+// Range params as [column, comparison]
+const RANGE_FILTERS = {
+  min_population: ['population', '>='],
+  max_population: ['population', '<='],
+  min_gdp: ['estimated_gdp', '>='],
+  max_gdp: ['estimated_gdp', '<='],
+  min_exchange_rate: ['exchange_rate', '>='],
+  max_exchange_rate: ['exchange_rate', '<=']
+};
+
+// Every query param parseCountryFilters understands
+const FILTER_PARAMS = ['region', 'currency', 'search', ...Object.keys(RANGE_FILTERS)];
+const LIST_PARAMS = [...FILTER_PARAMS, 'sort', 'fields', 'limit', 'offset', 'format'];
+
+/**
+ * Rejects params outside `allowed` and params given more than once (Express
+ * parses those into arrays). A typo such as ?name= for ?search= would
+ * otherwise return the unfiltered list.
+ */
+function checkQueryParams(query, allowed) {
+  const unknown = Object.keys(query).filter(param => !allowed.includes(param));
+  if (unknown.length) {
+    throw new HttpError(400, `Unknown query parameter(s): ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+  const repeated = Object.keys(query).filter(param => Array.isArray(query[param]));
+  if (repeated.length) {
+    throw new HttpError(400, `Query parameter(s) given more than once: ${repeated.join(', ')}`);
+  }
+}
+
+const parseNonNegativeNumber = (value, param) => {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || number < 0) {
+    throw new HttpError(400, `${param} must be a non-negative number`);
+  }
+  return number;
+};
+
+const parseInteger = (value, param, min, max) => {
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number) || number < min || number > max) {
+    throw new HttpError(400, `${param} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Validates GET /countries filter params into the filters the countries
+ * repository takes: region, currency (upper-cased), search (trimmed and
+ * lower-cased) and the RANGE_FILTERS params as numbers. Shared by every
+ * endpoint that lists countries with the same filters.
+ */
+function parseCountryFilters(query) {
+  const filters = {};
+
+  const { region, currency, search } = query;
+  if (region) filters.region = region;
+  if (currency) filters.currency = currency.toUpperCase();
+  if (search !== undefined) {
+    if (typeof search !== 'string' || search.trim() === '') {
+      throw new HttpError(400, 'search must be a non-empty string');
+    }
+    filters.search = search.trim().toLowerCase();
+  }
+
+  for (const param of Object.keys(RANGE_FILTERS)) {
+    if (query[param] !== undefined) filters[param] = parseNonNegativeNumber(query[param], param);
+  }
+
+  return filters;
+}
+
+const parseSort = (sort) => {
+  if (sort === undefined) return SORTS.name_asc;
+  if (!SORTS[sort]) {
+    throw new HttpError(400, `sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  }
+  return SORTS[sort];
+};
+
+// Returns the requested field list, or null for the full row
+const parseFields = (fields) => {
+  if (fields === undefined) return null;
+  const requested = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = requested.filter(field => !SELECTABLE_FIELDS.includes(field));
+  if (requested.length === 0 || unknown.length) {
+    throw new HttpError(400, `fields must be a comma-separated list of: ${SELECTABLE_FIELDS.join(', ')}`);
+  }
+  return [...new Set(requested)];
+};
+
+/**
+ * Validates GET /countries query params into the options countries.list()
+ * takes ({ filters, sort, columns, limit, offset }) plus the requested fields.
+ * Throws HttpError(400) for any invalid parameter.
+ */
+function parseCountryListQuery(query) {
+  checkQueryParams(query, LIST_PARAMS);
+  const filters = parseCountryFilters(query);
+  const sort = parseSort(query.sort);
+  const fields = parseFields(query.fields);
+  const limit = query.limit === undefined ? null : parseInteger(query.limit, 'limit', 1, MAX_LIMIT);
+  const offset = query.offset === undefined ? 0 : parseInteger(query.offset, 'offset', 0, Number.MAX_SAFE_INTEGER);
+
+  // id is always selected because currencies are attached by country id
+  const columns = fields
+    ? [...new Set(['id', ...fields.filter(field => field !== 'currencies')])]
+    : COUNTRY_COLUMNS;
+
+  return { filters, sort, columns, fields, limit, offset };
+}
+
+// Trims rows down to the requested fields (after currencies have been attached)
+const projectFields = (rows, fields) => (fields
+  ? rows.map(row => Object.fromEntries(fields.map(field => [field, row[field]])))
+  : rows);
+
+module.exports = {
+  COUNTRY_COLUMNS,
+  RANGE_FILTERS,
+  FILTER_PARAMS,
+  checkQueryParams,
+  parseCountryFilters,
+  parseCountryListQuery,
+  projectFields
+};
@@ -0,0 +1,43 @@
+// utils/countryStats.js
+const db = require('../db');
+const { FILTER_PARAMS, checkQueryParams, parseCountryFilters } = require('./countryQuery');
+const { toNumberOrNull } = require('./values');
+
+const formatAggregates = (row) => ({
+  country_count: parseInt(row.country_count),
+  total_population: toNumberOrNull(row.total_population),
+  median_population: toNumberOrNull(row.median_population),
+  total_estimated_gdp: toNumberOrNull(row.total_estimated_gdp),
+  min_exchange_rate: toNumberOrNull(row.min_exchange_rate),
+  max_exchange_rate: toNumberOrNull(row.max_exchange_rate),
+  countries_missing_rate: parseInt(row.countries_missing_rate)
+});
+
+// Applies the GET /countries filters first so the aggregates see the same rows
+const parseFilters = (query) => {
+  checkQueryParams(query, FILTER_PARAMS);
+  return parseCountryFilters(query);
+};
+
+/**
+ * Per-region totals. Rates are each country's primary rate.
+ * Accepts the same filters as GET /countries; throws HttpError(400) on bad ones.
+ */
+async function regionStats(query) {
+  const rows = await db.countries.regionStats(parseFilters(query));
+  return rows.map(row => ({ region: row.region, ...formatAggregates(row) }));
+}
+
+/**
+ * Per-currency totals over every currency a country uses, so a country with
+ * several currencies counts towards each of them.
+ */
+async function currencyStats(query) {
+  const rows = await db.countries.currencyStats(parseFilters(query));
+  return rows.map(row => ({ currency_code: row.currency_code, ...formatAggregates(row) }));
+}
+
+module.exports = {
+  regionStats,
+  currencyStats
+};
@@ -0,0 +1,130 @@
+// utils/currencyConverter.js
+const db = require('../db');
+const HttpError = require('./httpError');
+
+// Stored rates are units of currency per 1 USD (open.er-api.com base)
+const BASE_CURRENCY = 'USD';
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+class ConversionError extends HttpError {}
+
+/**
+ * Looks up the latest stored rate per currency code.
+ * Returns a Map of code -> { rate, refreshed_at }, with rate null when no country has one.
+ */
+async function loadRates(codes) {
+  const latest = await db.countries.latestRates(codes);
+
+  const rates = new Map();
+  for (const row of latest) {
+    rates.set(row.currency_code, {
+      rate: row.exchange_rate == null ? null : Number(row.exchange_rate),
+      refreshed_at: row.last_refreshed_at
+    });
+  }
+
+  // USD is the base, so it always converts even if no stored country uses it
+  if (!rates.has(BASE_CURRENCY) || rates.get(BASE_CURRENCY).rate == null) {
+    rates.set(BASE_CURRENCY, { rate: 1, refreshed_at: null });
+  }
+  return rates;
+}
+
+const normalizeCode = (value, field) => {
+  if (typeof value !== 'string' || !CURRENCY_CODE_PATTERN.test(value.trim().toUpperCase())) {
+    throw new ConversionError(400, `${field} must be a 3-letter ISO 4217 currency code`);
+  }
+  return value.trim().toUpperCase();
+};
+
+const normalizeAmount = (value) => {
+  if (value === undefined || value === '') return 1;
+  const amount = typeof value === 'number' ? value : Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new ConversionError(400, 'amount must be a non-negative number');
+  }
+  return amount;
+};
+
+// Validates a { from, to, amount } request; throws ConversionError on bad input
+const parseConversion = ({ from, to, amount }) => ({
+  from: normalizeCode(from, 'from'),
+  to: normalizeCode(to, 'to'),
+  amount: normalizeAmount(amount)
+});
+
+// Computes a cross rate via USD from already loaded rates
+function convertWithRates(rates, { from, to, amount }) {
+  for (const code of [from, to]) {
+    if (!rates.has(code)) {
+      throw new ConversionError(404, `Unknown currency: ${code}`);
+    }
+    if (rates.get(code).rate == null) {
+      throw new ConversionError(422, `No exchange rate available for ${code}`);
+    }
+  }
+
+  const fromRate = rates.get(from);
+  const toRate = rates.get(to);
+  const rate = toRate.rate / fromRate.rate;
+
+  // The conversion is only as fresh as the older of the two rates
+  const timestamps = [fromRate.refreshed_at, toRate.refreshed_at]
+    .filter(Boolean)
+    .map(ts => new Date(ts).getTime());
+
+  return {
+    from,
+    to,
+    amount,
+    rate,
+    result: amount * rate,
+    base: BASE_CURRENCY,
+    rate_timestamp: timestamps.length ? new Date(Math.min(...timestamps)).toISOString() : null
+  };
+}
+
+async function convert(request) {
+  const conversion = parseConversion(request);
+  const rates = await loadRates([conversion.from, conversion.to]);
+  return convertWithRates(rates, conversion);
+}
+
+/**
+ * Converts many { from, to, amount } items with a single rate lookup.
+ * Each result is either a conversion or { error, status } for that item.
+ */
+async function convertBatch(items) {
+  const parsed = items.map(item => {
+    try {
+      return { conversion: parseConversion(item || {}) };
+    } catch (err) {
+      return { error: err };
+    }
+  });
+
+  const codes = new Set();
+  parsed.forEach(({ conversion }) => {
+    if (conversion) {
+      codes.add(conversion.from);
+      codes.add(conversion.to);
+    }
+  });
+  const rates = await loadRates([...codes]);
+
+  return parsed.map(({ conversion, error }, index) => {
+    try {
+      if (error) throw error;
+      return { index, ...convertWithRates(rates, conversion) };
+    } catch (err) {
+      if (!(err instanceof ConversionError)) throw err;
+      return { index, error: err.message, status: err.status };
+    }
+  });
+}
+
+module.exports = {
+  ConversionError,
+  convert,
+  convertBatch
+};
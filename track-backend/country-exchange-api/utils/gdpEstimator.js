@@ -0,0 +1,154 @@
+// utils/gdpEstimator.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_METHOD = 'seeded';
+
+// Same 1000-2000 per-capita range the original random multiplier used
+const MIN_MULTIPLIER = 1000;
+const MULTIPLIER_SPAN = 1000;
+
+// ========================================
+// STRATEGIES
+// ========================================
+// Each strategy takes { name, population, exchange_rate } and returns
+// { estimated_gdp, gdp_method }, or null when it can't estimate that country.
+
+// Deterministic multiplier derived from the country name, so rankings only move
+// when population or exchange rate do
+const seededStrategy = (seed) => ({ name, population, exchange_rate }) => {
+  if (!exchange_rate) return null;
+  const digest = crypto.createHash('sha256').update(`${seed}:${name.toLowerCase()}`).digest();
+  const fraction = digest.readUInt32BE(0) / 0xffffffff;
+  const multiplier = MIN_MULTIPLIER + fraction * MULTIPLIER_SPAN;
+  return { estimated_gdp: (population * multiplier) / exchange_rate, gdp_method: 'seeded' };
+};
+
+// Legacy behaviour, kept for comparison only: values change on every refresh
+const randomStrategy = () => ({ population, exchange_rate }) => {
+  if (!exchange_rate) return null;
+  const multiplier = Math.random() * MULTIPLIER_SPAN + MIN_MULTIPLIER;
+  return { estimated_gdp: (population * multiplier) / exchange_rate, gdp_method: 'random' };
+};
+
+// Real figures: per-capita GDP in USD from a local file, keyed by lowercased country name
+const perCapitaStrategy = (figures) => ({ name, population }) => {
+  const perCapita = figures.get(name.toLowerCase());
+  if (perCapita == null) return null;
+  return { estimated_gdp: population * perCapita, gdp_method: 'per_capita' };
+};
+
+// ========================================
+// PER-CAPITA FILE LOADING
+// ========================================
+// Splits one CSV line, honouring double-quoted fields such as "Korea, Republic of"
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+const parseCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return [];
+
+  const header = parseCsvLine(lines[0]).map(column => column.toLowerCase());
+  return lines.slice(1).map(line => {
+    const fields = parseCsvLine(line);
+    return Object.fromEntries(header.map((column, i) => [column, fields[i]]));
+  });
+};
+
+/**
+ * Reads per-capita GDP figures (USD) from a CSV or JSON file.
+ * CSV needs `name` and `gdp_per_capita` columns; JSON may be an array of
+ * { name, gdp_per_capita } or an object mapping name -> value.
+ */
+async function loadPerCapitaFigures(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  let entries;
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const data = JSON.parse(text);
+    entries = Array.isArray(data)
+      ? data.map(item => [item.name, item.gdp_per_capita])
+      : Object.entries(data);
+  } else {
+    entries = parseCsv(text).map(row => [row.name, row.gdp_per_capita]);
+  }
+
+  const figures = new Map();
+  for (const [name, value] of entries) {
+    const perCapita = Number(value);
+    if (!name || value === '' || value == null || !Number.isFinite(perCapita) || perCapita < 0) continue;
+    figures.set(String(name).trim().toLowerCase(), perCapita);
+  }
+  return figures;
+}
+
+// ========================================
+// ESTIMATOR FACTORY
+// ========================================
+const METHODS = {
+  seeded: async ({ seed }) => [seededStrategy(seed)],
+  random: async () => [randomStrategy()],
+  // Countries missing from the file fall back to the seeded estimate
+  per_capita: async ({ seed, perCapitaFile }) => {
+    if (!perCapitaFile) {
+      throw new Error('GDP_PER_CAPITA_FILE must be set when GDP_ESTIMATION_METHOD is per_capita');
+    }
+    const figures = await loadPerCapitaFigures(perCapitaFile);
+    return [perCapitaStrategy(figures), seededStrategy(seed)];
+  }
+};
+
+/**
+ * Builds an estimator from GDP_ESTIMATION_METHOD, GDP_PER_CAPITA_FILE and GDP_SEED
+ * (or the given overrides). Call once per refresh so file edits are picked up.
+ */
+async function createGdpEstimator(options = {}) {
+  const method = (options.method || process.env.GDP_ESTIMATION_METHOD || DEFAULT_METHOD).toLowerCase();
+  if (!METHODS[method]) {
+    throw new Error(`GDP_ESTIMATION_METHOD must be one of: ${Object.keys(METHODS).join(', ')}`);
+  }
+
+  const strategies = await METHODS[method]({
+    seed: options.seed || process.env.GDP_SEED || '',
+    perCapitaFile: options.perCapitaFile || process.env.GDP_PER_CAPITA_FILE
+  });
+
+  return {
+    method,
+    estimate(country) {
+      for (const strategy of strategies) {
+        const result = strategy(country);
+        if (result) return result;
+      }
+      return { estimated_gdp: null, gdp_method: null };
+    }
+  };
+}
+
+module.exports = {
+  createGdpEstimator,
+  loadPerCapitaFigures
+};
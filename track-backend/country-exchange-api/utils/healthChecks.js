@@ -0,0 +1,158 @@
+// utils/healthChecks.js
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const db = require('../db');
+const { CACHE_DIR, IMAGE_PATH } = require('./summaryImage');
+const { COUNTRIES_FILE, RATES_FILE } = require('../providers/fixtureProvider');
+
+// Every table the migrations create; a missing one means the instance can't serve
+const REQUIRED_TABLES = [
+  'countries', 'country_currencies', 'refresh_runs', 'country_snapshots', 'currency_snapshots',
+  'api_keys', 'audit_log', 'country_change_events', 'webhooks', 'webhook_deliveries'
+];
+
+const DEFAULT_UPSTREAM_TIMEOUT_MS = 3000;
+
+// Check results: `fail` makes the instance not ready, `warn` is reported only
+const pass = (details = {}) => ({ status: 'pass', ...details });
+const warn = (message, details = {}) => ({ status: 'warn', message, ...details });
+const fail = (message, details = {}) => ({ status: 'fail', message, ...details });
+
+// ========================================
+// CHECKS
+// ========================================
+async function checkDatabase() {
+  await db.ping();
+  return pass({ driver: db.driver });
+}
+
+async function checkSchema() {
+  const { tables, migrations } = await db.schemaStatus();
+  const found = new Set(tables);
+  const missing = REQUIRED_TABLES.filter(table => !found.has(table));
+  if (missing.length) return fail('Database schema is incomplete', { missing_tables: missing });
+
+  const pending = migrations.filter(row => row.state === 'pending').map(row => `${row.version}_${row.name}`);
+  const latest = migrations.filter(row => row.state !== 'pending').pop();
+  const details = { migration_version: latest ? latest.version : null };
+  return pending.length
+    ? fail('Database migrations are pending', { ...details, pending_migrations: pending })
+    : pass(details);
+}
+
+async function checkCacheDir() {
+  // Write a probe file: access() alone misses read-only mounts and full disks
+  const probe = path.join(CACHE_DIR, `.ready-${process.pid}-${Date.now()}`);
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  await fs.writeFile(probe, 'ok');
+  await fs.rm(probe, { force: true });
+  return pass({ path: CACHE_DIR });
+}
+
+async function checkSummaryImage() {
+  try {
+    const stat = await fs.stat(IMAGE_PATH);
+    return pass({ generated_at: stat.mtime.toISOString() });
+  } catch {
+    // GET /countries/image renders it on demand, so this alone doesn't block traffic
+    return warn('Summary image has not been generated yet');
+  }
+}
+
+async function checkDataFreshness() {
+  const { last_refreshed_at: lastRefreshedAt } = await db.countries.summary();
+  const maxAgeMinutes = parseFloat(process.env.READINESS_MAX_DATA_AGE_MINUTES);
+
+  if (!lastRefreshedAt) {
+    return maxAgeMinutes > 0 ? fail('No country data has been loaded') : warn('No country data has been loaded');
+  }
+
+  const ageMinutes = (Date.now() - new Date(lastRefreshedAt).getTime()) / 60000;
+  const details = {
+    last_refreshed_at: new Date(lastRefreshedAt).toISOString(),
+    age_minutes: Math.round(ageMinutes),
+    max_age_minutes: maxAgeMinutes > 0 ? maxAgeMinutes : null
+  };
+  return maxAgeMinutes > 0 && ageMinutes > maxAgeMinutes
+    ? fail('Country data is older than the staleness window', details)
+    : pass(details);
+}
+
+async function checkUpstream() {
+  const mode = (process.env.UPSTREAM_MODE || 'live').toLowerCase();
+  const fixturesDir = path.resolve(process.env.FIXTURES_DIR || path.join(__dirname, '..', 'fixtures'));
+
+  if (mode === 'fixture') {
+    try {
+      await Promise.all([COUNTRIES_FILE, RATES_FILE].map(file => fs.access(path.join(fixturesDir, file))));
+      return pass({ mode });
+    } catch {
+      return warn('Fixture files are missing', { mode, fixtures_dir: fixturesDir });
+    }
+  }
+
+  const timeout = parseInt(process.env.UPSTREAM_HEALTH_TIMEOUT_MS) || DEFAULT_UPSTREAM_TIMEOUT_MS;
+  const targets = {
+    countries: process.env.COUNTRIES_API_URL || 'https://restcountries.com/v2',
+    rates: process.env.RATES_API_URL || 'https://open.er-api.com/v6'
+  };
+
+  // Any HTTP response proves the host is reachable; only network errors count
+  const results = await Promise.all(Object.entries(targets).map(async ([name, url]) => {
+    try {
+      const resp = await axios.head(url, { timeout, validateStatus: () => true, maxRedirects: 0 });
+      return [name, { reachable: true, status_code: resp.status }];
+    } catch (err) {
+      return [name, { reachable: false, error: err.message }];
+    }
+  }));
+
+  const hosts = Object.fromEntries(results);
+  // Serving doesn't depend on upstream; an outage only delays the next refresh
+  return Object.values(hosts).every(host => host.reachable)
+    ? pass({ mode, hosts })
+    : warn('Upstream API unreachable', { mode, hosts });
+}
+
+// ========================================
+// REPORT
+// ========================================
+const timed = async (check) => {
+  const started = Date.now();
+  let result;
+  try {
+    result = await check();
+  } catch (err) {
+    result = fail(err.message);
+  }
+  return { ...result, duration_ms: Date.now() - started };
+};
+
+/**
+ * Runs every readiness check in parallel. Upstream reachability is only
+ * checked when READINESS_CHECK_UPSTREAM=true. `ready` is false when any check fails.
+ */
+async function runReadinessChecks() {
+  const checks = {
+    database: checkDatabase,
+    schema: checkSchema,
+    cache_dir: checkCacheDir,
+    summary_image: checkSummaryImage,
+    data_freshness: checkDataFreshness
+  };
+  if (process.env.READINESS_CHECK_UPSTREAM === 'true') checks.upstream = checkUpstream;
+
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => timed(checks[name])));
+  const report = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+  return {
+    ready: results.every(result => result.status !== 'fail'),
+    checks: report
+  };
+}
+
+module.exports = {
+  runReadinessChecks
+};
@@ -0,0 +1,12 @@
+// utils/httpError.js
+
+// Error carrying the HTTP status a route should answer with
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+module.exports = HttpError;
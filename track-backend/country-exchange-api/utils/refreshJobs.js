@@ -0,0 +1,332 @@
+// utils/refreshJobs.js
+const db = require('../db');
+const { createUpstreamProvider } = require('../providers');
+const { generateSummaryImage } = require('./summaryImage');
+const { createGdpEstimator } = require('./gdpEstimator');
+const { SYSTEM_ACTOR, recordAudit } = require('./auditLog');
+const { loadPreviousValues, detectChanges } = require('./changeDetection');
+const { applyOverrides } = require('./countryOverrides');
+const { queueChangeNotifications } = require('./webhooks');
+
+// Arbitrary app-wide key for db.tryLock (a pg advisory lock), shared by every instance
+const REFRESH_LOCK_KEY = 74201001;
+const DEFAULT_BATCH_SIZE = 100;
+const MISSING_COUNTRY_POLICIES = ['stale', 'remove'];
+
+// Job currently running in this process, if any
+let activeJobId = null;
+
+// ========================================
+// UPSTREAM FETCH
+// ========================================
+async function fetchUpstream(provider) {
+  let countriesData, ratesData;
+
+  try {
+    countriesData = await provider.fetchCountries();
+    if (!Array.isArray(countriesData)) throw new Error('Invalid countries');
+  } catch (err) {
+    console.error(`Countries fetch via ${provider.name} failed:`, err.message);
+    throw new Error('Could not fetch data from countries API');
+  }
+
+  try {
+    const data = await provider.fetchRates();
+    if (!data || !data.rates) throw new Error('Invalid rates');
+    ratesData = data.rates;
+  } catch (err) {
+    console.error(`Rates fetch via ${provider.name} failed:`, err.message);
+    throw new Error('Could not fetch data from exchange rates API');
+  }
+
+  return { countriesData, ratesData };
+}
+
+// ========================================
+// ROW PREPARATION
+// ========================================
+/**
+ * Lists every distinct currency a country uses, in upstream order, with its USD rate.
+ * The primary currency (the one the GDP estimate uses) is the first one that has a
+ * rate, falling back to the first listed when none do.
+ */
+function buildCurrencyList(currencies, ratesData) {
+  if (!Array.isArray(currencies)) return [];
+
+  const list = [];
+  for (const currency of currencies) {
+    const code = currency && currency.code ? String(currency.code).toUpperCase() : null;
+    if (!code || list.some(item => item.code === code)) continue;
+    list.push({
+      code,
+      exchange_rate: ratesData[code] ? parseFloat(ratesData[code]) : null,
+      is_primary: false
+    });
+  }
+
+  const primary = list.find(item => item.exchange_rate) || list[0];
+  if (primary) primary.is_primary = true;
+  return list;
+}
+
+// Turns the upstream payloads into countries rows, deduplicated by lowercased name
+function buildCountryRows(countriesData, ratesData, counts, estimator) {
+  const rows = new Map();
+
+  for (const country of countriesData) {
+    const { name, capital, region, population, flag, currencies } = country;
+
+    if (!name || population == null) {
+      counts.skipped++;
+      continue;
+    }
+
+    const countryCurrencies = buildCurrencyList(currencies, ratesData);
+    const primary = countryCurrencies.find(currency => currency.is_primary) || null;
+    const currency_code = primary ? primary.code : null;
+    const exchange_rate = primary ? primary.exchange_rate : null;
+    const estimate = estimator.estimate({ name, population, exchange_rate });
+    const { gdp_method } = estimate;
+    // Countries without any currency have always reported 0 rather than unknown
+    const estimated_gdp = estimate.estimated_gdp == null && !primary ? 0 : estimate.estimated_gdp;
+
+    // Upstream occasionally repeats a name; one statement can't upsert the same key twice
+    if (rows.has(name.toLowerCase())) counts.skipped++;
+    rows.set(name.toLowerCase(), {
+      name, capital: capital || null, region: region || null, population,
+      currency_code, exchange_rate, estimated_gdp, gdp_method, flag_url: flag || null,
+      currencies: countryCurrencies
+    });
+  }
+
+  return [...rows.values()];
+}
+
+// One history point per currency with a rate, counting the countries that use it
+async function storeCurrencySnapshots(tx, rows, jobId, refreshedAt) {
+  const byCode = new Map();
+  for (const currency of rows.flatMap(row => row.currencies)) {
+    if (currency.exchange_rate == null) continue;
+    const snapshot = byCode.get(currency.code);
+    if (snapshot) snapshot.countries++;
+    else byCode.set(currency.code, { code: currency.code, exchange_rate: currency.exchange_rate, countries: 1 });
+  }
+
+  await tx.snapshots.insertCurrencySnapshots(jobId, [...byCode.values()], refreshedAt);
+}
+
+// Applies MISSING_COUNTRY_POLICY to countries the feed no longer returns.
+// Soft-deleted countries aren't refreshed, so they are never "missing".
+const handleMissingCountries = (countries, refreshedAt, policy) => (policy === 'remove'
+  ? countries.removeMissing(refreshedAt)
+  : countries.markMissingStale(refreshedAt));
+
+const getMissingCountryPolicy = () => {
+  const policy = (process.env.MISSING_COUNTRY_POLICY || 'stale').toLowerCase();
+  if (!MISSING_COUNTRY_POLICIES.includes(policy)) {
+    throw new Error(`MISSING_COUNTRY_POLICY must be one of: ${MISSING_COUNTRY_POLICIES.join(', ')}`);
+  }
+  return policy;
+};
+
+// ========================================
+// JOB EXECUTION
+// ========================================
+async function runRefreshJob(jobId, lock) {
+  const startedAt = new Date();
+  const counts = { processed: 0, inserted: 0, updated: 0, skipped: 0, missing: 0, changes: 0 };
+  const errors = [];
+
+  const saveProgress = () => db.refreshRuns.saveProgress(jobId, { counts, errors });
+  const finish = (status) => db.refreshRuns.finish(
+    jobId, status, { counts, errors }, Date.now() - startedAt.getTime()
+  );
+
+  try {
+    await db.refreshRuns.markRunning(jobId, startedAt);
+
+    const missingPolicy = getMissingCountryPolicy();
+    const estimator = await createGdpEstimator();
+    const { countriesData, ratesData } = await fetchUpstream(createUpstreamProvider());
+    await db.refreshRuns.setTotal(jobId, countriesData.length);
+
+    const built = buildCountryRows(countriesData, ratesData, counts, estimator);
+    const batchSize = parseInt(process.env.REFRESH_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+    let changes = [];
+
+    // All-or-nothing: a failure anywhere rolls the countries table back untouched
+    try {
+      await db.transaction(async tx => {
+        // Read before upserting: this is both the insert/update split and the diff baseline
+        const previous = await loadPreviousValues(tx.countries);
+        // Deleted countries stay deleted (and untouched) until someone restores them
+        const rows = built.filter(row => {
+          const before = previous.get(row.name.toLowerCase());
+          return !(before && before.deleted_at);
+        });
+        counts.skipped += built.length - rows.length;
+        applyOverrides(rows, previous, estimator);
+        changes = detectChanges(previous, rows);
+
+        for (let i = 0; i < rows.length; i += batchSize) {
+          const batch = rows.slice(i, i + batchSize);
+          await tx.countries.upsertMany(batch, startedAt);
+          // Keep a snapshot of this refresh so history survives the upsert above
+          await tx.snapshots.insertCountrySnapshots(jobId, batch, startedAt);
+
+          batch.forEach(row => {
+            if (previous.has(row.name.toLowerCase())) counts.updated++;
+            else counts.inserted++;
+          });
+          counts.processed = counts.skipped + i + batch.length;
+          await saveProgress();
+        }
+
+        await storeCurrencySnapshots(tx, rows, jobId, startedAt);
+        await tx.changeEvents.insertMany(jobId, changes, startedAt);
+        counts.changes = changes.length;
+        counts.missing = await handleMissingCountries(tx.countries, startedAt, missingPolicy);
+      });
+    } catch (err) {
+      counts.inserted = 0;
+      counts.updated = 0;
+      counts.missing = 0;
+      counts.changes = 0;
+      throw err;
+    }
+
+    counts.processed = countriesData.length;
+    const imageSaved = await generateSummaryImage(startedAt.toISOString());
+    if (!imageSaved) errors.push('Summary image generation failed');
+
+    // The refresh itself succeeded; a notification problem is only reported on the job
+    try {
+      await queueChangeNotifications(jobId, changes, startedAt);
+    } catch (err) {
+      console.error(`Refresh job ${jobId} webhook queueing failed:`, err.message);
+      errors.push('Webhook notification queueing failed');
+    }
+
+    await finish('completed');
+  } catch (err) {
+    console.error(`Refresh job ${jobId} failed:`, err);
+    errors.push(err.message);
+    await finish('failed')
+      .catch(saveErr => console.error(`Refresh job ${jobId} status update failed:`, saveErr.message));
+  } finally {
+    activeJobId = null;
+    try {
+      await lock.release();
+    } catch (err) {
+      console.error('Refresh lock release failed:', err.message);
+    }
+  }
+}
+
+/**
+ * Queues a refresh and runs it in the background.
+ * Returns { job } when started, or { runningJobId } when another refresh holds the lock.
+ */
+async function startRefreshJob(trigger = 'manual') {
+  if (activeJobId !== null) return { runningJobId: activeJobId };
+  // Claim the slot before awaiting so concurrent calls in this process see it
+  activeJobId = 0;
+
+  let lock;
+  try {
+    lock = await db.tryLock(REFRESH_LOCK_KEY);
+
+    if (!lock) {
+      // Another instance is refreshing; report its job if we can see it
+      activeJobId = null;
+      return { runningJobId: await db.refreshRuns.findActiveId() };
+    }
+
+    // Holding the lock means nothing else is refreshing, so leftovers were interrupted
+    await db.refreshRuns.failInterrupted();
+
+    const job = await db.refreshRuns.create(trigger);
+    activeJobId = job.id;
+
+    runRefreshJob(job.id, lock).catch(err => {
+      console.error(`Refresh job ${job.id} crashed:`, err);
+    });
+
+    return { job };
+  } catch (err) {
+    if (activeJobId === 0) activeJobId = null;
+    if (lock) await lock.release().catch(() => {});
+    throw err;
+  }
+}
+
+const getRefreshJob = (id) => db.refreshRuns.findById(id);
+
+const listRefreshJobs = (limit = 20) => db.refreshRuns.list(limit);
+
+// Shapes a refresh_runs row for API responses
+const formatRefreshJob = (row) => ({
+  id: row.id,
+  status: row.status,
+  trigger: row.trigger,
+  created_at: new Date(row.created_at).toISOString(),
+  started_at: row.started_at ? new Date(row.started_at).toISOString() : null,
+  completed_at: row.completed_at ? new Date(row.completed_at).toISOString() : null,
+  duration_ms: row.duration_ms,
+  progress: {
+    processed: row.countries_processed,
+    total: row.countries_total,
+    percent: row.countries_total
+      ? Math.round((row.countries_processed / row.countries_total) * 100)
+      : (row.status === 'completed' ? 100 : 0)
+  },
+  counts: {
+    inserted: row.inserted,
+    updated: row.updated,
+    skipped: row.skipped,
+    missing: row.missing,
+    changes: row.changes
+  },
+  errors: row.errors || []
+});
+
+// ========================================
+// SCHEDULER
+// ========================================
+function startRefreshScheduler() {
+  const minutes = parseFloat(process.env.REFRESH_INTERVAL_MINUTES);
+  if (!minutes || minutes <= 0) {
+    console.log('Scheduled refresh disabled (REFRESH_INTERVAL_MINUTES not set)');
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    try {
+      const { job, runningJobId } = await startRefreshJob('schedule');
+      if (job) {
+        console.log(`Scheduled refresh started as job ${job.id}`);
+        await recordAudit({
+          actor: SYSTEM_ACTOR,
+          action: 'refresh.start',
+          target: job.id,
+          details: { trigger: 'schedule' }
+        });
+      } else {
+        console.log(`Scheduled refresh skipped, job ${runningJobId} still running`);
+      }
+    } catch (err) {
+      console.error('Scheduled refresh failed to start:', err.message);
+    }
+  }, minutes * 60 * 1000);
+
+  console.log(`Scheduled refresh every ${minutes} minute(s)`);
+  return timer;
+}
+
+module.exports = {
+  startRefreshJob,
+  getRefreshJob,
+  listRefreshJobs,
+  formatRefreshJob,
+  startRefreshScheduler
+};
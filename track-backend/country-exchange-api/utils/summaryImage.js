@@ -0,0 +1,243 @@
+// utils/summaryImage.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const Jimp = require('jimp');
+const db = require('../db');
+const HttpError = require('./httpError');
+
+const CACHE_DIR = path.join(__dirname, '..', 'cache');
+const IMAGE_PATH = path.join(CACHE_DIR, 'summary.png');
+const IMAGE_CACHE_DIR = path.join(CACHE_DIR, 'images');
+
+const METRICS = {
+  gdp: { column: 'estimated_gdp', label: 'Est. GDP', prefix: '$' },
+  population: { column: 'population', label: 'Population', prefix: '' }
+};
+
+const FORMATS = {
+  png: Jimp.MIME_PNG,
+  jpeg: Jimp.MIME_JPEG
+};
+
+const DEFAULT_OPTIONS = { region: null, metric: 'gdp', top: 5, width: 800, height: 600, format: 'png' };
+const LIMITS = { top: [1, 50], width: [300, 2000], height: [200, 2000] };
+
+const BAR_COLOR = 0x3b82f6ff;
+const AXIS_COLOR = 0x9ca3afff;
+
+// ========================================
+// OPTIONS
+// ========================================
+const parseBoundedInt = (value, param) => {
+  const [min, max] = LIMITS[param];
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number) || number < min || number > max) {
+    throw new HttpError(400, `${param} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Validates GET /countries/image query params into render options.
+ * Throws HttpError(400) on bad values.
+ */
+function parseImageOptions(query) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  if (query.region !== undefined) {
+    if (typeof query.region !== 'string' || query.region.trim() === '') {
+      throw new HttpError(400, 'region must be a non-empty string');
+    }
+    options.region = query.region.trim().toLowerCase();
+  }
+  if (query.metric !== undefined) {
+    if (!METRICS[query.metric]) {
+      throw new HttpError(400, `metric must be one of: ${Object.keys(METRICS).join(', ')}`);
+    }
+    options.metric = query.metric;
+  }
+  if (query.format !== undefined) {
+    const format = String(query.format).toLowerCase() === 'jpg' ? 'jpeg' : String(query.format).toLowerCase();
+    if (!FORMATS[format]) {
+      throw new HttpError(400, `format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    options.format = format;
+  }
+  for (const param of Object.keys(LIMITS)) {
+    if (query[param] !== undefined) options[param] = parseBoundedInt(query[param], param);
+  }
+
+  return options;
+}
+
+const isDefaultOptions = (options) => Object.keys(DEFAULT_OPTIONS)
+  .every(key => options[key] === DEFAULT_OPTIONS[key]);
+
+// ========================================
+// RENDERING
+// ========================================
+async function loadChartData({ region, metric, top }) {
+  const { column } = METRICS[metric];
+  const summary = await db.countries.summary({ region });
+  const leaders = await db.countries.topBy(column, { region, limit: top });
+
+  return {
+    total: summary.total,
+    lastRefreshedAt: summary.last_refreshed_at,
+    // Stored spelling of the region, since the filter is case-insensitive
+    region: region ? summary.region || region : null,
+    rows: leaders.map(row => ({ name: row.name, value: Number(row.value) }))
+  };
+}
+
+const formatValue = (value, prefix) => `${prefix}${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+
+// Cuts text down with an ellipsis until it fits maxWidth pixels
+const fitText = (font, text, maxWidth) => {
+  if (Jimp.measureText(font, text) <= maxWidth) return text;
+  let trimmed = text;
+  while (trimmed.length > 1 && Jimp.measureText(font, `${trimmed}...`) > maxWidth) {
+    trimmed = trimmed.slice(0, -1);
+  }
+  return `${trimmed}...`;
+};
+
+/**
+ * Renders the country summary: title, totals, refresh time and a horizontal
+ * bar chart of the top countries by the chosen metric. Returns an image buffer.
+ */
+async function renderSummaryImage(options = DEFAULT_OPTIONS, timestamp) {
+  const { metric, top, width, height, format } = options;
+  const { label, prefix } = METRICS[metric];
+  const data = await loadChartData(options);
+
+  const compact = width < 700 || height < 450;
+  const fontTitle = await Jimp.loadFont(compact ? Jimp.FONT_SANS_32_BLACK : Jimp.FONT_SANS_64_BLACK);
+  const fontMedium = await Jimp.loadFont(compact ? Jimp.FONT_SANS_16_BLACK : Jimp.FONT_SANS_32_BLACK);
+
+  const image = new Jimp(width, height, 0xffffffff);
+  const margin = Math.round(width * 0.05);
+  const refreshedAt = timestamp || data.lastRefreshedAt;
+
+  let y = Math.round(height * 0.05);
+  image.print(fontTitle, margin, y, fitText(fontTitle, data.region ? `${data.region} Summary` : 'Country Summary', width - 2 * margin));
+  y += compact ? 45 : 90;
+  image.print(fontMedium, margin, y, `Total: ${data.total}`);
+  y += compact ? 25 : 50;
+  image.print(fontMedium, margin, y, fitText(
+    fontMedium,
+    `Refreshed: ${refreshedAt ? new Date(refreshedAt).toUTCString() : 'never'}`,
+    width - 2 * margin
+  ));
+  y += compact ? 35 : 60;
+  image.print(fontMedium, margin, y, `Top ${top} by ${label}:`);
+  y += compact ? 30 : 50;
+
+  // Chart area: labels on the left, bars growing right, value printed after each bar
+  const chartBottom = height - margin;
+  const rows = data.rows;
+  const rowHeight = rows.length ? Math.floor((chartBottom - y) / rows.length) : 0;
+  if (rows.length === 0) {
+    image.print(fontMedium, margin, y, 'No data');
+  } else if (rowHeight >= 4) {
+    const fontLabel = await Jimp.loadFont(rowHeight >= 24 ? Jimp.FONT_SANS_16_BLACK : Jimp.FONT_SANS_8_BLACK);
+    const textHeight = rowHeight >= 24 ? 18 : 9;
+    const labelWidth = Math.round(width * 0.25);
+    const barX = margin + labelWidth + 10;
+    const maxValue = Math.max(...rows.map(row => row.value), 1);
+    const valueWidth = Math.max(...rows.map(row => Jimp.measureText(fontLabel, formatValue(row.value, prefix))));
+    const barSpace = Math.max(width - margin - barX - valueWidth - 10, 10);
+    const barHeight = Math.max(Math.floor(rowHeight * 0.7), 2);
+
+    image.composite(new Jimp(1, rowHeight * rows.length, AXIS_COLOR), barX - 1, y);
+    rows.forEach((row, i) => {
+      const rowY = y + i * rowHeight;
+      const textY = rowY + Math.max(Math.floor((barHeight - textHeight) / 2), 0);
+      const barWidth = Math.max(Math.round((row.value / maxValue) * barSpace), 1);
+
+      image.print(fontLabel, margin, textY, fitText(fontLabel, `${i + 1}. ${row.name}`, labelWidth));
+      image.composite(new Jimp(barWidth, barHeight, BAR_COLOR), barX, rowY);
+      image.print(fontLabel, barX + barWidth + 6, textY, formatValue(row.value, prefix));
+    });
+  }
+
+  if (format === 'jpeg') image.quality(85);
+  return image.getBufferAsync(FORMATS[format]);
+}
+
+// ========================================
+// CACHE
+// ========================================
+const cachedImagePath = (options) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(options)).digest('hex');
+  return path.join(IMAGE_CACHE_DIR, `${hash}.${options.format === 'jpeg' ? 'jpg' : 'png'}`);
+};
+
+/**
+ * Returns the path of an image for these options, rendering it on first use.
+ * Default options map to the summary image written after each refresh.
+ */
+async function getImagePath(options) {
+  if (isDefaultOptions(options)) {
+    try {
+      await fs.access(IMAGE_PATH);
+      return IMAGE_PATH;
+    } catch {
+      if (!(await generateSummaryImage())) throw new Error('Summary image generation failed');
+      return IMAGE_PATH;
+    }
+  }
+
+  const filePath = cachedImagePath(options);
+  try {
+    await fs.access(filePath);
+    return filePath;
+  } catch {
+    const buffer = await renderSummaryImage(options);
+    await fs.mkdir(IMAGE_CACHE_DIR, { recursive: true });
+    // Write then rename so a concurrent request never serves a half-written file
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, buffer);
+    await fs.rename(tmpPath, filePath);
+    return filePath;
+  }
+}
+
+// Drops the summary and every parameterised image; call whenever country data changes
+async function invalidateImageCache() {
+  try {
+    await fs.rm(IMAGE_CACHE_DIR, { recursive: true, force: true });
+    await fs.rm(IMAGE_PATH, { force: true });
+  } catch (err) {
+    console.error('Image cache invalidation failed:', err.message);
+  }
+}
+
+// ========================================
+// IMAGE GENERATION (FIXED)
+// ========================================
+async function generateSummaryImage(timestamp) {
+  try {
+    const buffer = await renderSummaryImage(DEFAULT_OPTIONS, timestamp);
+    await invalidateImageCache();
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    const tmpPath = `${IMAGE_PATH}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, buffer);
+    await fs.rename(tmpPath, IMAGE_PATH);
+    console.log('Summary image saved:', IMAGE_PATH);
+    return true;
+  } catch (err) {
+    console.error('Image generation failed:', err.message);
+    return false;
+  }
+}
+
+module.exports = {
+  CACHE_DIR,
+  IMAGE_PATH,
+  parseImageOptions,
+  getImagePath,
+  invalidateImageCache,
+  generateSummaryImage
+};
@@ -0,0 +1,21 @@
+// utils/values.js
+
+// Small value checks and conversions shared by the routes and utils
+
+// True for absolute http(s) URLs; rejects other schemes and anything URL() can't parse
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+// NUMERIC and BIGINT columns come back from pg as strings; NULL stays null
+const toNumberOrNull = (value) => (value == null ? null : Number(value));
+
+module.exports = {
+  isHttpUrl,
+  toNumberOrNull
+};
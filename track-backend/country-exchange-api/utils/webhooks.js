@@ -0,0 +1,187 @@
+// utils/webhooks.js
+const crypto = require('crypto');
+const axios = require('axios');
+const db = require('../db');
+
+const DEFAULT_THRESHOLD_PCT = 5;
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_POLL_INTERVAL_MS = 10000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const CLAIM_BATCH_SIZE = 10;
+
+const getDefaultThreshold = () => {
+  const threshold = parseFloat(process.env.WEBHOOK_RATE_THRESHOLD_PCT);
+  return Number.isFinite(threshold) && threshold >= 0 ? threshold : DEFAULT_THRESHOLD_PCT;
+};
+
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature sent as X-Webhook-Signature: HMAC-SHA256 over "<timestamp>.<body>".
+ * Receivers should recompute it with their secret and reject stale timestamps.
+ */
+const signPayload = (secret, timestamp, body) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+// Waits 30s, 1m, 2m, 4m ... after each failed attempt, capped at an hour
+const backoffMs = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+// ========================================
+// QUEUEING
+// ========================================
+// A change matches when its field is subscribed and it moved at least threshold_pct.
+// Changes without a percentage (e.g. a new currency code) always match.
+const matchesWebhook = (webhook, event) => webhook.fields.includes(event.field)
+  && (event.change_pct == null || Math.abs(event.change_pct) >= Number(webhook.threshold_pct));
+
+/**
+ * Queues one delivery per active webhook that has matching changes from a
+ * refresh. Returns the number of deliveries queued.
+ */
+async function queueChangeNotifications(refreshRunId, events, detectedAt) {
+  if (events.length === 0) return 0;
+
+  const webhooks = await db.webhooks.listActive();
+  let queued = 0;
+
+  for (const webhook of webhooks) {
+    const changes = events.filter(event => matchesWebhook(webhook, event));
+    if (changes.length === 0) continue;
+
+    const payload = {
+      event: 'countries.changed',
+      refresh_run_id: refreshRunId,
+      detected_at: new Date(detectedAt).toISOString(),
+      threshold_pct: Number(webhook.threshold_pct),
+      changes
+    };
+    await db.webhooks.queueDelivery(webhook.id, refreshRunId, payload);
+    queued++;
+  }
+
+  return queued;
+}
+
+// ========================================
+// DELIVERY
+// ========================================
+/**
+ * Claims due deliveries for this worker. Pushing next_attempt_at forward acts as a
+ * lease, so another instance (or this one, if we crash mid-send) retries it later.
+ */
+const claimDueDeliveries = (leaseMs) =>
+  db.webhooks.claimDueDeliveries(new Date(Date.now() + leaseMs), CLAIM_BATCH_SIZE);
+
+async function sendDelivery(delivery, webhook, timeoutMs) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const started = Date.now();
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      timeout: timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'country-exchange-api-webhooks',
+        'X-Webhook-Id': String(delivery.id),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      // Every status is an outcome we record, not an exception
+      validateStatus: () => true,
+      maxRedirects: 0
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      status_code: response.status,
+      error: ok ? null : `HTTP ${response.status}`,
+      duration_ms: Date.now() - started
+    };
+  } catch (err) {
+    return { ok: false, status_code: null, error: err.message, duration_ms: Date.now() - started };
+  }
+}
+
+async function recordAttempt(delivery, result) {
+  const attempts = delivery.attempts + 1;
+  const entry = {
+    attempt: attempts,
+    at: new Date().toISOString(),
+    status_code: result.status_code,
+    error: result.error,
+    duration_ms: result.duration_ms
+  };
+
+  let status = 'pending';
+  if (result.ok) status = 'succeeded';
+  else if (result.final || attempts >= getMaxAttempts()) status = 'failed';
+
+  await db.webhooks.recordAttempt(delivery.id, {
+    status,
+    attempts,
+    last_status_code: result.status_code,
+    last_error: result.error,
+    attempt_log: [...(delivery.attempt_log || []), entry],
+    next_attempt_at: new Date(Date.now() + (status === 'pending' ? backoffMs(attempts) : 0))
+  });
+}
+
+// Sends every delivery that is due. Returns how many were attempted.
+async function processDueDeliveries() {
+  const timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  // Sends run one after another, so the lease must outlast a whole batch of timeouts
+  const deliveries = await claimDueDeliveries(timeoutMs * (CLAIM_BATCH_SIZE + 1));
+  if (deliveries.length === 0) return 0;
+
+  const webhookIds = [...new Set(deliveries.map(delivery => delivery.webhook_id))];
+  const webhooks = await db.webhooks.findByIds(webhookIds);
+  const byId = new Map(webhooks.map(row => [row.id, row]));
+
+  for (const delivery of deliveries) {
+    const webhook = byId.get(delivery.webhook_id);
+    const result = webhook && webhook.active
+      ? await sendDelivery(delivery, webhook, timeoutMs)
+      : { ok: false, final: true, status_code: null, error: 'Webhook disabled', duration_ms: 0 };
+    await recordAttempt(delivery, result);
+  }
+
+  return deliveries.length;
+}
+
+let workerRunning = false;
+
+function startWebhookWorker() {
+  const intervalMs = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap when a slow endpoint holds up the batch
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      await processDueDeliveries();
+    } catch (err) {
+      console.error('Webhook delivery run failed:', err.message);
+    } finally {
+      workerRunning = false;
+    }
+  }, intervalMs);
+
+  console.log(`Webhook worker polling every ${intervalMs}ms`);
+  return timer;
+}
+
+module.exports = {
+  getDefaultThreshold,
+  generateSecret,
+  signPayload,
+  queueChangeNotifications,
+  processDueDeliveries,
+  startWebhookWorker
+};
@@ -1,34 +1,70 @@
-const { Pool } = require('pg');
 require('dotenv').config();
+const createPostgresStringRepository = require('./repositories/postgresStringRepository');
+const createMemoryStringRepository = require('./repositories/memoryStringRepository');
+const createPostgresCollectionRepository = require('./repositories/postgresCollectionRepository');
+const createMemoryCollectionRepository = require('./repositories/memoryCollectionRepository');
 
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-});
+/**
+ * Storage is chosen with DB_DRIVER: `postgres` (default, needs DATABASE_URL)
+ * or `memory` (no database; data is lost on restart).
+ *
+ * Every strings repository implements the methods below. All but init and
+ * close act on one collection, passed first as `c` (0 is the default collection):
+ *   init()                  prepare storage (postgres runs migrations)
+ *   findById(c, id)         row or null
+ *   insert(c, record)       stored row, or null when the id already exists in c
+ *   insertMany(c, records)  ids that were new, inserted in one transaction
+ *   find(c, filters, opts)  rows matching normalized filters; opts sort and page them
+ *                           (sortBy, order, limit, after), default newest first
+ *   findNearestLength(c, filters, { length, limit })
+ *                           the `limit` matching rows whose length is closest to `length`
+ *   stats(c, filters, opts) aggregates over matching rows (see utils/corpusStats.js);
+ *                           opts: bucketSize (length histogram), topCharacters
+ *   findByTree(c, tree)     rows matching a filter tree (utils/filterTree.js), newest first
+ *   updateAnnotations(c, id, { tags, metadata })
+ *                           row with the given fields replaced, or null
+ *   deleteById(c, id)       true when a row was deleted
+ *   close()                 release connections
+ *
+ * Every collections repository implements:
+ *   list(tenant)                  the tenant's collections with string_count, by name
+ *   findByName(tenant, name)      collection or null
+ *   findWithStringCount(id)       collection with string_count, or null
+ *   create(tenant, { name, description })
+ *                                 new collection, or null when the name is taken
+ *   deleteById(id)                true when deleted, along with its strings
+ */
+const DRIVERS = {
+    postgres: () => ({
+        strings: createPostgresStringRepository(),
+        collections: createPostgresCollectionRepository(),
+    }),
+    memory: () => {
+        const strings = createMemoryStringRepository();
+        return { strings, collections: createMemoryCollectionRepository(strings) };
+    },
+};
+
+const driver = (process.env.DB_DRIVER || 'postgres').toLowerCase();
+if (!DRIVERS[driver]) {
+    throw new Error(`DB_DRIVER must be one of: ${Object.keys(DRIVERS).join(', ')}`);
+}
+
+const { strings, collections } = DRIVERS[driver]();
 
-// Function to initialize the database schema
+// Function to initialize the storage (runs migrations for postgres).
 const createSchema = async () => {
     try {
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS strings (
-                id VARCHAR(64) PRIMARY KEY,
-                value TEXT NOT NULL,
-                length INTEGER NOT NULL,
-                is_palindrome BOOLEAN NOT NULL,
-                unique_characters INTEGER NOT NULL,
-                word_count INTEGER NOT NULL,
-                char_freq_map JSONB,
-                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-        console.log("Database schema checked/created successfully.");
+        await strings.init();
+        console.log(`Storage ready (${strings.driver}).`);
     } catch (err) {
-        console.error("Error creating database schema:", err);
+        console.error("Error initializing storage:", err);
         throw err; // Propagate error to stop server start
     }
 };
 
 module.exports = {
-    query: (text, params) => pool.query(text, params),
+    strings,
+    collections,
     createSchema,
-    pool,
 };
@@ -0,0 +1,56 @@
+/**
+ * In-memory collections repository, the counterpart of
+ * postgresCollectionRepository.js. Needs the memory strings repository to
+ * count and cascade-delete a collection's strings.
+ */
+const { DEFAULT_COLLECTION } = require('../../utils/collections');
+
+const createMemoryCollectionRepository = (strings) => {
+    // The default collection exists from the start, as migration 003 creates it
+    const collections = new Map([[DEFAULT_COLLECTION.id, {
+        id: DEFAULT_COLLECTION.id,
+        tenant: '',
+        name: DEFAULT_COLLECTION.name,
+        description: 'Shared collection served by /strings',
+        created_at: new Date(),
+    }]]);
+    let nextId = 1;
+
+    const withStringCount = async (collection) => ({
+        ...collection,
+        string_count: (await strings.find(collection.id)).length,
+    });
+
+    return {
+        async list(tenant) {
+            const owned = [...collections.values()]
+                .filter((collection) => collection.tenant === tenant)
+                .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+            return Promise.all(owned.map(withStringCount));
+        },
+
+        async findWithStringCount(id) {
+            return collections.has(id) ? withStringCount(collections.get(id)) : null;
+        },
+
+        async findByName(tenant, name) {
+            const found = [...collections.values()].find((collection) => collection.tenant === tenant && collection.name === name);
+            return found ? { ...found } : null;
+        },
+
+        async create(tenant, { name, description = null }) {
+            if ([...collections.values()].some((collection) => collection.tenant === tenant && collection.name === name)) return null;
+            const collection = { id: nextId++, tenant, name, description, created_at: new Date() };
+            collections.set(collection.id, collection);
+            return { ...collection };
+        },
+
+        async deleteById(id) {
+            if (!collections.delete(id)) return false;
+            strings.deleteCollection(id);
+            return true;
+        },
+    };
+};
+
+module.exports = createMemoryCollectionRepository;
@@ -0,0 +1,175 @@
+/**
+ * In-memory strings repository for running and testing without PostgreSQL.
+ * Data lives in this process only and is lost on restart.
+ */
+const { RANGE_FILTERS, CLASS_FILTERS, TEXT_FILTERS } = require('../../utils/stringFilters');
+const { evaluate } = require('../../utils/filterTree');
+
+const COMPARISONS = {
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b,
+    '=': (a, b) => a === b,
+};
+
+const matches = (row, filters) => {
+    if (filters.is_palindrome !== undefined && row.is_palindrome !== filters.is_palindrome) return false;
+    for (const [param, [column, comparison]] of Object.entries(RANGE_FILTERS)) {
+        if (filters[param] === undefined) continue;
+        if (!COMPARISONS[comparison](row[column], filters[param])) return false;
+    }
+    if (filters.contains_character !== undefined
+        && !row.value.toLowerCase().includes(filters.contains_character.toLowerCase())) return false;
+    for (const [param, characterClass] of Object.entries(CLASS_FILTERS)) {
+        if (filters[param] !== undefined && (row.character_classes[characterClass] > 0) !== filters[param]) return false;
+    }
+    for (const param of TEXT_FILTERS) {
+        if (filters[param] !== undefined && (row[param] || '').toLowerCase() !== filters[param]) return false;
+    }
+    if (filters.tag !== undefined && !row.tags.includes(filters.tag)) return false;
+    return true;
+};
+
+// Callers get copies so they can't change stored rows by accident
+const copy = (row) => ({
+    ...row,
+    char_freq_map: { ...row.char_freq_map },
+    character_classes: { ...row.character_classes },
+    tags: [...row.tags],
+    metadata: structuredClone(row.metadata),
+    created_at: new Date(row.created_at),
+});
+
+// [{ [key]: k, count }] for each distinct key, in ascending key order
+const countBy = (items, keyOf, key) => {
+    const counts = new Map();
+    for (const item of items) counts.set(keyOf(item), (counts.get(keyOf(item)) || 0) + 1);
+    return [...counts.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([value, count]) => ({ [key]: value, count }));
+};
+
+const createMemoryStringRepository = () => {
+    // collection id -> (string id -> row)
+    const collections = new Map();
+
+    const rowsOf = (collectionId) => {
+        if (!collections.has(collectionId)) collections.set(collectionId, new Map());
+        return collections.get(collectionId);
+    };
+
+    // Returns the stored row, or null when the collection already has the id
+    const store = (collectionId, record) => {
+        const rows = rowsOf(collectionId);
+        if (rows.has(record.id)) return null;
+        const row = {
+            ...record,
+            collection_id: collectionId,
+            tags: record.tags || [],
+            metadata: record.metadata || {},
+            created_at: new Date(),
+        };
+        rows.set(row.id, row);
+        return row;
+    };
+
+    // Map keeps insertion order, so reversing gives newest first on created_at ties
+    const newestFirst = (collectionId, predicate) => [...rowsOf(collectionId).values()]
+        .filter(predicate)
+        .reverse()
+        .sort((a, b) => b.created_at - a.created_at)
+        .map(copy);
+
+    return {
+        driver: 'memory',
+
+        init: async () => {},
+
+        async findById(collectionId, id) {
+            const rows = rowsOf(collectionId);
+            return rows.has(id) ? copy(rows.get(id)) : null;
+        },
+
+        async insert(collectionId, record) {
+            const row = store(collectionId, record);
+            return row ? copy(row) : null;
+        },
+
+        async insertMany(collectionId, records) {
+            return records.filter((record) => store(collectionId, record)).map((record) => record.id);
+        },
+
+        async find(collectionId, filters = {}, { sortBy = 'created_at', order = 'desc', limit, after } = {}) {
+            const direction = order === 'asc' ? 1 : -1;
+            const key = (row) => (sortBy === 'created_at' ? row.created_at.getTime() : row[sortBy]);
+            const compare = (aKey, aId, bKey, bId) => direction * (aKey - bKey || (aId < bId ? -1 : aId > bId ? 1 : 0));
+            const afterKey = after && (sortBy === 'created_at' ? new Date(after.value).getTime() : after.value);
+
+            const found = [...rowsOf(collectionId).values()]
+                .filter((row) => matches(row, filters))
+                .filter((row) => !after || compare(key(row), row.id, afterKey, after.id) > 0)
+                .sort((a, b) => compare(key(a), a.id, key(b), b.id));
+            return found.slice(0, limit === undefined ? found.length : limit).map(copy);
+        },
+
+        async findNearestLength(collectionId, filters = {}, { length, limit }) {
+            const distance = (row) => Math.abs(row.length - length);
+            return newestFirst(collectionId, (row) => matches(row, filters))
+                .sort((a, b) => distance(a) - distance(b))
+                .slice(0, limit);
+        },
+
+        async stats(collectionId, filters = {}, { bucketSize, topCharacters }) {
+            const found = [...rowsOf(collectionId).values()].filter((row) => matches(row, filters));
+            const lengths = found.map((row) => row.length);
+            const characters = lengths.reduce((sum, length) => sum + length, 0);
+
+            const characterCounts = new Map();
+            for (const row of found) {
+                for (const [char, count] of Object.entries(row.char_freq_map)) {
+                    characterCounts.set(char, (characterCounts.get(char) || 0) + count);
+                }
+            }
+
+            return {
+                total: found.length,
+                palindromes: found.filter((row) => row.is_palindrome).length,
+                characters,
+                words: found.reduce((sum, row) => sum + row.word_count, 0),
+                // reduce, not Math.min(...lengths), which overflows the stack on large corpora
+                min_length: found.length ? lengths.reduce((a, b) => Math.min(a, b)) : null,
+                max_length: found.length ? lengths.reduce((a, b) => Math.max(a, b)) : null,
+                avg_length: found.length ? characters / found.length : null,
+                length_histogram: countBy(found, (row) => Math.floor(row.length / bucketSize) * bucketSize, 'bucket_start'),
+                word_count_histogram: countBy(found, (row) => row.word_count, 'word_count'),
+                top_characters: [...characterCounts.entries()]
+                    .sort(([a, countA], [b, countB]) => countB - countA || (a < b ? -1 : a > b ? 1 : 0))
+                    .slice(0, topCharacters)
+                    .map(([character, count]) => ({ character, count })),
+                ingested_per_day: countBy(found, (row) => row.created_at.toISOString().slice(0, 10), 'date'),
+            };
+        },
+
+        async findByTree(collectionId, tree) {
+            return newestFirst(collectionId, (row) => evaluate(tree, row));
+        },
+
+        async updateAnnotations(collectionId, id, annotations) {
+            const row = rowsOf(collectionId).get(id);
+            if (!row) return null;
+            if (annotations.tags !== undefined) row.tags = [...annotations.tags];
+            if (annotations.metadata !== undefined) row.metadata = structuredClone(annotations.metadata);
+            return copy(row);
+        },
+
+        async deleteById(collectionId, id) {
+            return rowsOf(collectionId).delete(id);
+        },
+
+        // Stands in for Postgres' ON DELETE CASCADE when the memory collection repository deletes a collection
+        deleteCollection: (collectionId) => collections.delete(collectionId),
+
+        close: async () => {},
+    };
+};
+
+module.exports = createMemoryStringRepository;
@@ -0,0 +1,60 @@
+/**
+ * Collections belong to a tenant; names are unique per tenant. Deleting a
+ * collection deletes its strings (ON DELETE CASCADE, migration 003).
+ */
+const createPostgresCollectionRepository = () => {
+    // Required here so the memory driver never creates a pg pool
+    const pool = require('../pool');
+
+    return {
+        // Each collection with the number of strings it holds, by name
+        async list(tenant) {
+            const result = await pool.query(
+                `SELECT c.id, c.tenant, c.name, c.description, c.created_at, COUNT(s.id)::int AS string_count
+                 FROM collections c
+                 LEFT JOIN strings s ON s.collection_id = c.id
+                 WHERE c.tenant = $1
+                 GROUP BY c.id, c.tenant, c.name, c.description, c.created_at
+                 ORDER BY c.name`,
+                [tenant]
+            );
+            return result.rows;
+        },
+
+        // One collection with its string count, or null once it has been deleted
+        async findWithStringCount(id) {
+            const result = await pool.query(
+                `SELECT c.id, c.tenant, c.name, c.description, c.created_at,
+                        (SELECT COUNT(*)::int FROM strings s WHERE s.collection_id = c.id) AS string_count
+                 FROM collections c
+                 WHERE c.id = $1`,
+                [id]
+            );
+            return result.rows[0] || null;
+        },
+
+        async findByName(tenant, name) {
+            const result = await pool.query('SELECT * FROM collections WHERE tenant = $1 AND name = $2', [tenant, name]);
+            return result.rows[0] || null;
+        },
+
+        // Returns the new collection, or null when the tenant already has one by that name
+        async create(tenant, { name, description = null }) {
+            const result = await pool.query(
+                `INSERT INTO collections (tenant, name, description)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (tenant, name) DO NOTHING
+                 RETURNING *`,
+                [tenant, name, description]
+            );
+            return result.rows[0] || null;
+        },
+
+        async deleteById(id) {
+            const result = await pool.query('DELETE FROM collections WHERE id = $1', [id]);
+            return result.rowCount > 0;
+        },
+    };
+};
+
+module.exports = createPostgresCollectionRepository;
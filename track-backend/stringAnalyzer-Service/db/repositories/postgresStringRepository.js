@@ -0,0 +1,350 @@
+const { migrate } = require('../migrator');
+const { toRecord } = require('../../utils/stringAnalyzer');
+const { RANGE_FILTERS, CLASS_FILTERS, TEXT_FILTERS } = require('../../utils/stringFilters');
+const { FIELDS } = require('../../utils/filterTree');
+
+// Escapes LIKE wildcards so contains_character "%" or "_" matches literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * Builds the WHERE clauses for normalized filters (see utils/stringFilters.js),
+ * always scoped to one collection.
+ */
+const buildWhere = (collectionId, filters) => {
+    const clauses = ['collection_id = $1'];
+    const values = [collectionId];
+
+    if (filters.is_palindrome !== undefined) {
+        values.push(filters.is_palindrome);
+        clauses.push(`is_palindrome = $${values.length}`);
+    }
+    for (const [param, [column, comparison]] of Object.entries(RANGE_FILTERS)) {
+        if (filters[param] === undefined) continue;
+        values.push(filters[param]);
+        clauses.push(`${column} ${comparison} $${values.length}`);
+    }
+    if (filters.contains_character !== undefined) {
+        values.push(`%${escapeLike(filters.contains_character)}%`);
+        clauses.push(`value ILIKE $${values.length}`); // ILIKE for case-insensitive contain check
+    }
+    for (const [param, characterClass] of Object.entries(CLASS_FILTERS)) {
+        if (filters[param] === undefined) continue;
+        clauses.push(`(character_classes->>'${characterClass}')::INTEGER ${filters[param] ? '>' : '='} 0`);
+    }
+    for (const param of TEXT_FILTERS) {
+        if (filters[param] === undefined) continue;
+        values.push(filters[param]);
+        clauses.push(`LOWER(${param}) = $${values.length}`);
+    }
+    if (filters.tag !== undefined) {
+        values.push(JSON.stringify([filters.tag]));
+        clauses.push(`tags @> $${values.length}::jsonb`);
+    }
+
+    return { clauses, values };
+};
+
+// Sort expressions; created_at is cut to milliseconds so cursors (JS dates) compare exactly
+const SORT_EXPRESSIONS = {
+    created_at: "date_trunc('milliseconds', created_at)",
+    length: 'length',
+    word_count: 'word_count',
+    unique_characters: 'unique_characters',
+};
+
+const SQL_OPS = { '=': '=', '!=': '<>', '>': '>', '>=': '>=', '<': '<', '<=': '<=' };
+
+/**
+ * Compiles a filter tree (see utils/filterTree.js) to a SQL condition,
+ * pushing its values onto `values`. Fields and ops are checked against the
+ * whitelists, so only values ever reach the query as parameters.
+ */
+const compileTree = (node, values) => {
+    if (node.and || node.or) {
+        const parts = (node.and || node.or).map((child) => compileTree(child, values));
+        return `(${parts.join(node.and ? ' AND ' : ' OR ')})`;
+    }
+
+    const { field, op, value } = node;
+    const type = FIELDS[field];
+    if (type === 'contains' && (op === 'contains' || op === 'not_contains')) {
+        values.push(`%${escapeLike(value)}%`);
+        return `value ${op === 'contains' ? 'ILIKE' : 'NOT ILIKE'} $${values.length}`;
+    }
+    if (type === 'boolean' && op === '=') {
+        if (CLASS_FILTERS[field]) {
+            return `(character_classes->>'${CLASS_FILTERS[field]}')::INTEGER ${value ? '>' : '='} 0`;
+        }
+        values.push(value);
+        return `${field} = $${values.length}`;
+    }
+    if (type === 'text' && (op === '=' || op === '!=')) {
+        values.push(value);
+        return op === '='
+            ? `LOWER(${field}) = $${values.length}`
+            : `(${field} IS NULL OR LOWER(${field}) <> $${values.length})`;
+    }
+    if (type === 'count' && SQL_OPS[op]) {
+        values.push(value);
+        return `${field} ${SQL_OPS[op]} $${values.length}`;
+    }
+    throw new Error(`Unsupported filter: ${field} ${op}`);
+};
+
+const COLUMNS = [
+    'id', 'value', 'length', 'is_palindrome', 'unique_characters', 'word_count', 'char_freq_map',
+    'vowel_count', 'consonant_count', 'sentence_count', 'character_classes', 'entropy',
+    'longest_word', 'anagram_signature', 'script', 'language_hint',
+];
+
+// Columns the backfill recomputes for rows stored before they existed
+const EXTENDED_COLUMNS = COLUMNS.slice(COLUMNS.indexOf('vowel_count'));
+
+// Caller-supplied JSONB columns; pg would send a JS array as a Postgres array, so they go as JSON text
+const ANNOTATION_COLUMNS = ['tags', 'metadata'];
+const ANNOTATION_DEFAULTS = { tags: [], metadata: {} };
+
+const INSERT_COLUMNS = ['collection_id', ...COLUMNS, ...ANNOTATION_COLUMNS];
+
+// Rows per INSERT statement; keeps the parameter count far below Postgres' 65535 limit
+const INSERT_CHUNK_SIZE = 500;
+
+const BACKFILL_BATCH_SIZE = 500;
+
+const toParams = (collectionId, record) => [
+    collectionId,
+    ...COLUMNS.map((column) => record[column]),
+    ...ANNOTATION_COLUMNS.map((column) => JSON.stringify(record[column] ?? ANNOTATION_DEFAULTS[column])),
+];
+
+const placeholders = (count, offset = 0) => Array.from({ length: count }, (_, i) => `$${offset + i + 1}`).join(', ');
+
+// Fills in the extended properties of rows analyzed before migration 002
+// (by id, which updates every collection's copy of a value at once)
+const backfill = async (pool) => {
+    let updated = 0;
+    for (;;) {
+        const { rows } = await pool.query(
+            'SELECT id, value FROM strings WHERE entropy IS NULL LIMIT $1',
+            [BACKFILL_BATCH_SIZE]
+        );
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+            const record = toRecord(row.value);
+            await pool.query(
+                `UPDATE strings SET ${EXTENDED_COLUMNS.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+                 WHERE id = $1`,
+                [row.id, ...EXTENDED_COLUMNS.map((column) => record[column])]
+            );
+        }
+        updated += rows.length;
+    }
+    if (updated > 0) console.log(`Backfilled extended properties for ${updated} string(s).`);
+};
+
+const createPostgresStringRepository = () => {
+    // Required here so the memory driver never creates a pg pool
+    const pool = require('../pool');
+
+    return {
+        driver: 'postgres',
+
+        async init() {
+            await migrate(pool);
+            await backfill(pool);
+        },
+
+        async findById(collectionId, id) {
+            const result = await pool.query('SELECT * FROM strings WHERE collection_id = $1 AND id = $2', [collectionId, id]);
+            return result.rows[0] || null;
+        },
+
+        // Returns the stored row, or null when the collection already has a string with this id
+        async insert(collectionId, record) {
+            const result = await pool.query(
+                `INSERT INTO strings (${INSERT_COLUMNS.join(', ')})
+                 VALUES (${placeholders(INSERT_COLUMNS.length)})
+                 ON CONFLICT (collection_id, id) DO NOTHING
+                 RETURNING *`,
+                toParams(collectionId, record)
+            );
+            return result.rows[0] || null;
+        },
+
+        // Inserts every record in one transaction; returns the ids that were new
+        async insertMany(collectionId, records) {
+            const client = await pool.connect();
+            const inserted = [];
+
+            try {
+                await client.query('BEGIN');
+                for (let start = 0; start < records.length; start += INSERT_CHUNK_SIZE) {
+                    const chunk = records.slice(start, start + INSERT_CHUNK_SIZE);
+                    const rows = chunk.map((_, row) => `(${placeholders(INSERT_COLUMNS.length, row * INSERT_COLUMNS.length)})`);
+                    const result = await client.query(
+                        `INSERT INTO strings (${INSERT_COLUMNS.join(', ')})
+                         VALUES ${rows.join(', ')}
+                         ON CONFLICT (collection_id, id) DO NOTHING
+                         RETURNING id`,
+                        chunk.flatMap((record) => toParams(collectionId, record))
+                    );
+                    inserted.push(...result.rows.map((row) => row.id));
+                }
+                await client.query('COMMIT');
+                return inserted;
+            } catch (err) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw err;
+            } finally {
+                client.release();
+            }
+        },
+
+        // Options: sortBy (see SORT_EXPRESSIONS), order, limit and `after`, the
+        // { value, id } of the last row already seen (keyset pagination)
+        async find(collectionId, filters = {}, { sortBy = 'created_at', order = 'desc', limit, after } = {}) {
+            const { clauses, values } = buildWhere(collectionId, filters);
+            const sort = SORT_EXPRESSIONS[sortBy];
+            const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+            if (after) {
+                const comparison = order === 'asc' ? '>' : '<';
+                values.push(after.value, after.id);
+                const value = `$${values.length - 1}${sortBy === 'created_at' ? '::timestamptz' : ''}`;
+                clauses.push(`(${sort} ${comparison} ${value} OR (${sort} = ${value} AND id ${comparison} $${values.length}))`);
+            }
+
+            let query = `SELECT * FROM strings WHERE ${clauses.join(' AND ')}`;
+            query += ` ORDER BY ${sort} ${direction}, id ${direction}`;
+            if (limit !== undefined) {
+                values.push(limit);
+                query += ` LIMIT $${values.length}`;
+            }
+
+            const result = await pool.query(query, values);
+            return result.rows;
+        },
+
+        // The `limit` rows matching `filters` whose length is closest to `length`
+        // (ties: newest first). Each side of `length` is its own index range scan.
+        async findNearestLength(collectionId, filters = {}, { length, limit }) {
+            const { clauses, values } = buildWhere(collectionId, filters);
+            values.push(length, limit);
+            const where = clauses.join(' AND ');
+            const [lengthParam, limitParam] = [`$${values.length - 1}`, `$${values.length}`];
+
+            const result = await pool.query(
+                `SELECT * FROM (
+                     (SELECT * FROM strings WHERE ${where} AND length >= ${lengthParam}
+                      ORDER BY length ASC, created_at DESC LIMIT ${limitParam})
+                     UNION ALL
+                     (SELECT * FROM strings WHERE ${where} AND length < ${lengthParam}
+                      ORDER BY length DESC, created_at DESC LIMIT ${limitParam})
+                 ) AS nearest
+                 ORDER BY ABS(length - ${lengthParam}), created_at DESC, id
+                 LIMIT ${limitParam}`,
+                values
+            );
+            return result.rows;
+        },
+
+        // Aggregates over the rows matching `filters`, read from one snapshot
+        async stats(collectionId, filters = {}, { bucketSize, topCharacters }) {
+            const { clauses, values } = buildWhere(collectionId, filters);
+            const where = ` WHERE ${clauses.join(' AND ')}`;
+            const next = (count) => `$${values.length + count}`;
+            const client = await pool.connect();
+
+            try {
+                await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+                const summary = await client.query(
+                    `SELECT COUNT(*)::int AS total,
+                            COALESCE(SUM(CASE WHEN is_palindrome THEN 1 ELSE 0 END), 0)::int AS palindromes,
+                            COALESCE(SUM(length), 0)::bigint AS characters,
+                            COALESCE(SUM(word_count), 0)::bigint AS words,
+                            MIN(length) AS min_length,
+                            MAX(length) AS max_length,
+                            AVG(length)::float AS avg_length
+                     FROM strings${where}`,
+                    values
+                );
+                const lengths = await client.query(
+                    `SELECT (length / ${next(1)}) * ${next(1)} AS bucket_start, COUNT(*)::int AS count
+                     FROM strings${where}
+                     GROUP BY bucket_start ORDER BY bucket_start`,
+                    [...values, bucketSize]
+                );
+                const wordCounts = await client.query(
+                    `SELECT word_count, COUNT(*)::int AS count
+                     FROM strings${where}
+                     GROUP BY word_count ORDER BY word_count`,
+                    values
+                );
+                // The subquery keeps the filters' `value` apart from jsonb_each_text's own value column
+                const characters = await client.query(
+                    `SELECT freq.key AS character, SUM(freq.value::bigint) AS count
+                     FROM (SELECT char_freq_map FROM strings${where}) AS matched
+                     CROSS JOIN LATERAL jsonb_each_text(matched.char_freq_map) AS freq
+                     GROUP BY freq.key ORDER BY count DESC, freq.key LIMIT ${next(1)}`,
+                    [...values, topCharacters]
+                );
+                const days = await client.query(
+                    `SELECT to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day, COUNT(*)::int AS count
+                     FROM strings${where}
+                     GROUP BY day ORDER BY day`,
+                    values
+                );
+                await client.query('COMMIT');
+
+                // bigint sums come back from pg as strings
+                const totals = summary.rows[0];
+                return {
+                    ...totals,
+                    characters: Number(totals.characters),
+                    words: Number(totals.words),
+                    length_histogram: lengths.rows,
+                    word_count_histogram: wordCounts.rows,
+                    top_characters: characters.rows.map((row) => ({ character: row.character, count: Number(row.count) })),
+                    ingested_per_day: days.rows.map((row) => ({ date: row.day, count: row.count })),
+                };
+            } catch (err) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw err;
+            } finally {
+                client.release();
+            }
+        },
+
+        async findByTree(collectionId, tree) {
+            const values = [collectionId];
+            const result = await pool.query(
+                `SELECT * FROM strings WHERE collection_id = $1 AND ${compileTree(tree, values)} ORDER BY created_at DESC`,
+                values
+            );
+            return result.rows;
+        },
+
+        // Replaces the tags and/or metadata given (at least one); returns the updated row or null
+        async updateAnnotations(collectionId, id, annotations) {
+            const columns = ANNOTATION_COLUMNS.filter((column) => annotations[column] !== undefined);
+
+            const result = await pool.query(
+                `UPDATE strings SET ${columns.map((column, i) => `${column} = $${i + 3}`).join(', ')}
+                 WHERE collection_id = $1 AND id = $2
+                 RETURNING *`,
+                [collectionId, id, ...columns.map((column) => JSON.stringify(annotations[column]))]
+            );
+            return result.rows[0] || null;
+        },
+
+        async deleteById(collectionId, id) {
+            const result = await pool.query('DELETE FROM strings WHERE collection_id = $1 AND id = $2', [collectionId, id]);
+            return result.rowCount > 0;
+        },
+
+        close: () => pool.end(),
+    };
+};
+
+module.exports = createPostgresStringRepository;
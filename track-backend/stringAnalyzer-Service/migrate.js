@@ -0,0 +1,41 @@
+// Usage: node migrate.js [migrate | rollback [steps] | status]
+const pool = require('./db/pool');
+const { migrate, rollback, status } = require('./db/migrator');
+
+const USAGE = 'Usage: node migrate.js [migrate | rollback [steps] | status]';
+
+async function main([command = 'migrate', arg]) {
+    switch (command) {
+        case 'migrate': {
+            const applied = await migrate(pool);
+            console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Nothing to migrate');
+            break;
+        }
+        case 'rollback': {
+            const steps = arg === undefined ? 1 : Number(arg);
+            if (!Number.isInteger(steps) || steps < 1) throw new Error('steps must be a positive integer');
+            const reverted = await rollback(pool, { steps });
+            console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+            break;
+        }
+        case 'status': {
+            const rows = await status(pool);
+            for (const row of rows) {
+                const appliedAt = row.applied_at ? new Date(row.applied_at).toISOString() : '';
+                console.log(`${String(row.version).padStart(3, '0')}  ${row.state.padEnd(8)}  ${row.name}  ${appliedAt}`.trimEnd());
+            }
+            if (rows.some(row => row.state === 'modified' || row.state === 'missing')) process.exitCode = 1;
+            break;
+        }
+        default:
+            console.error(USAGE);
+            process.exitCode = 1;
+    }
+}
+
+main(process.argv.slice(2))
+    .catch(err => {
+        console.error('Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
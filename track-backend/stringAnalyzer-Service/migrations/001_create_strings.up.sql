@@ -0,0 +1,12 @@
+-- Baseline: the table createSchema() used to create. Idempotent so deployments
+-- that predate migrations can adopt it without changes.
+CREATE TABLE IF NOT EXISTS strings (
+    id VARCHAR(64) PRIMARY KEY,
+    value TEXT NOT NULL,
+    length INTEGER NOT NULL,
+    is_palindrome BOOLEAN NOT NULL,
+    unique_characters INTEGER NOT NULL,
+    word_count INTEGER NOT NULL,
+    char_freq_map JSONB,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS idx_strings_anagram_signature;
+
+ALTER TABLE strings DROP COLUMN IF EXISTS vowel_count;
+ALTER TABLE strings DROP COLUMN IF EXISTS consonant_count;
+ALTER TABLE strings DROP COLUMN IF EXISTS sentence_count;
+ALTER TABLE strings DROP COLUMN IF EXISTS character_classes;
+ALTER TABLE strings DROP COLUMN IF EXISTS entropy;
+ALTER TABLE strings DROP COLUMN IF EXISTS longest_word;
+ALTER TABLE strings DROP COLUMN IF EXISTS anagram_signature;
+ALTER TABLE strings DROP COLUMN IF EXISTS script;
+ALTER TABLE strings DROP COLUMN IF EXISTS language_hint;
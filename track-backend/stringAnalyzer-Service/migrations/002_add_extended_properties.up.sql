@@ -0,0 +1,13 @@
+-- Extended analysis properties. Rows stored before this migration start out
+-- NULL and are filled in by the repository's backfill on the next startup.
+ALTER TABLE strings ADD COLUMN vowel_count INTEGER;
+ALTER TABLE strings ADD COLUMN consonant_count INTEGER;
+ALTER TABLE strings ADD COLUMN sentence_count INTEGER;
+ALTER TABLE strings ADD COLUMN character_classes JSONB;
+ALTER TABLE strings ADD COLUMN entropy DOUBLE PRECISION;
+ALTER TABLE strings ADD COLUMN longest_word TEXT;
+ALTER TABLE strings ADD COLUMN anagram_signature TEXT;
+ALTER TABLE strings ADD COLUMN script TEXT;
+ALTER TABLE strings ADD COLUMN language_hint TEXT;
+
+CREATE INDEX idx_strings_anagram_signature ON strings (anagram_signature);
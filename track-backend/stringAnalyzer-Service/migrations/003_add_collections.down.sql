@@ -0,0 +1,15 @@
+-- Strings outside the default collection can't survive the global id key
+DELETE FROM strings WHERE collection_id <> 0;
+
+DROP INDEX IF EXISTS idx_strings_collection_created_at;
+DROP INDEX IF EXISTS idx_strings_anagram_signature;
+CREATE INDEX idx_strings_anagram_signature ON strings (anagram_signature);
+
+ALTER TABLE strings DROP COLUMN IF EXISTS metadata;
+ALTER TABLE strings DROP COLUMN IF EXISTS tags;
+
+ALTER TABLE strings DROP CONSTRAINT strings_pkey;
+ALTER TABLE strings ADD PRIMARY KEY (id);
+ALTER TABLE strings DROP COLUMN IF EXISTS collection_id;
+
+DROP TABLE IF EXISTS collections;
@@ -0,0 +1,28 @@
+-- Named collections owned by tenants. Collection 0 is the shared, keyless
+-- default collection that /strings serves; every string stored before this
+-- migration moves into it.
+CREATE TABLE collections (
+    id SERIAL PRIMARY KEY,
+    tenant TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant, name)
+);
+
+-- Outside the SERIAL range, so it never collides with tenant collections
+INSERT INTO collections (id, tenant, name, description)
+VALUES (0, '', 'default', 'Shared collection served by /strings');
+
+-- Uniqueness is per collection: the same value can live in several of them
+ALTER TABLE strings ADD COLUMN collection_id INTEGER NOT NULL DEFAULT 0
+    REFERENCES collections (id) ON DELETE CASCADE;
+ALTER TABLE strings DROP CONSTRAINT strings_pkey;
+ALTER TABLE strings ADD PRIMARY KEY (collection_id, id);
+
+ALTER TABLE strings ADD COLUMN tags JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE strings ADD COLUMN metadata JSONB NOT NULL DEFAULT '{}';
+
+DROP INDEX IF EXISTS idx_strings_anagram_signature;
+CREATE INDEX idx_strings_anagram_signature ON strings (collection_id, anagram_signature);
+CREATE INDEX idx_strings_collection_created_at ON strings (collection_id, created_at);
@@ -0,0 +1 @@
+DROP INDEX IF EXISTS idx_strings_collection_length;
@@ -0,0 +1,2 @@
+-- Lets GET /strings/-/similar walk outwards from the query's length instead of scanning the collection
+CREATE INDEX idx_strings_collection_length ON strings (collection_id, length);
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const stringRoutes = require('./stringRoutes');
+const { requireTenant } = require('../utils/auth');
+const { parseCollectionName } = require('../utils/collections');
+
+// Every collection route is scoped to the tenant behind the API key
+router.use(requireTenant);
+
+const formatCollection = (collection) => ({
+    name: collection.name,
+    description: collection.description,
+    string_count: collection.string_count,
+    created_at: collection.created_at.toISOString(),
+});
+
+// Resolves :name within the caller's tenant; other tenants' collections are a plain 404
+const loadCollection = async (req, res, next) => {
+    try {
+        const collection = await db.collections.findByName(req.tenant, req.params.name.toLowerCase());
+        if (!collection) return res.status(404).send({ error: 'Collection does not exist.' });
+        req.collection = collection;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+// GET /collections
+router.get('/', async (req, res) => {
+    try {
+        const collections = await db.collections.list(req.tenant);
+        return res.status(200).json({ data: collections.map(formatCollection), count: collections.length });
+    } catch (error) {
+        console.error('GET /collections Error:', error.message);
+        return res.status(500).send({ error: 'Internal Server Error' });
+    }
+});
+
+
+// POST /collections
+router.post('/', async (req, res) => {
+    let name;
+    try {
+        name = parseCollectionName(req.body.name);
+    } catch (error) {
+        return res.status(400).send({ error: error.message });
+    }
+    const { description = null } = req.body;
+    if (description !== null && typeof description !== 'string') {
+        return res.status(400).send({ error: 'description must be a string.' });
+    }
+
+    try {
+        const collection = await db.collections.create(req.tenant, { name, description });
+        if (!collection) return res.status(409).send({ error: 'Collection already exists.' });
+
+        return res.status(201).json(formatCollection({ ...collection, string_count: 0 }));
+    } catch (error) {
+        console.error('POST /collections Error:', error.message);
+        return res.status(500).send({ error: 'Internal Server Error' });
+    }
+});
+
+
+// GET /collections/{name}
+router.get('/:name', loadCollection, async (req, res) => {
+    try {
+        // Null when the collection was deleted after loadCollection found it
+        const collection = await db.collections.findWithStringCount(req.collection.id);
+        if (!collection) return res.status(404).send({ error: 'Collection does not exist.' });
+        return res.status(200).json(formatCollection(collection));
+    } catch (error) {
+        console.error('GET /collections/{name} Error:', error.message);
+        return res.status(500).send({ error: 'Internal Server Error' });
+    }
+});
+
+
+// DELETE /collections/{name}
+// Deletes the collection's strings with it
+router.delete('/:name', loadCollection, async (req, res) => {
+    try {
+        await db.collections.deleteById(req.collection.id);
+        return res.status(204).send();
+    } catch (error) {
+        console.error('DELETE /collections/{name} Error:', error.message);
+        return res.status(500).send({ error: 'Internal Server Error' });
+    }
+});
+
+
+// /collections/{name}/strings/... offers everything /strings does, within the collection
+router.use('/:name/strings', loadCollection, stringRoutes);
+
+
+module.exports = router;
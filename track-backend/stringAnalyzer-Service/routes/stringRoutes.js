@@ -1,8 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const { analyzeString } = require('../utils/stringAnalyzer');
-const { parseNaturalLanguage } = require('../utils/naturalLanguageParser');
+const { analyzeString, anagramSignature, toRecord } = require('../utils/stringAnalyzer');
+const { QueryParseError, parseNaturalLanguage } = require('../utils/naturalLanguageParser');
+const { parseFilters } = require('../utils/stringFilters');
+const { checkListParams, encodeCursor, parseListOptions } = require('../utils/pagination');
+const { formatStats, parseStatsOptions } = require('../utils/corpusStats');
+const { getMaxBatchSize, parseBatchInput } = require('../utils/batchInput');
+const {
+    MAX_CANDIDATES, MAX_VALUE_LENGTH, SIMILARITY_METHODS, candidateLengthFilters, rankBySimilarity,
+} = require('../utils/similarity');
+const { parseAnnotations } = require('../utils/collections');
+
+// Mounted at /strings (the default collection) and at /collections/:name/strings;
+// whoever mounts it sets req.collection first.
+// Lookups that aren't a stored string live under /-/: a string value is a single
+// path segment (any "/" in it arrives as %2F), so /:stringValue can never shadow them
 
 // Helper to format the DB row into the required API response structure
 const formatResponse = (row) => ({
@@ -15,79 +28,40 @@ const formatResponse = (row) => ({
         word_count: row.word_count,
         sha256_hash: row.id,
         character_frequency_map: row.char_freq_map,
+        vowel_count: row.vowel_count,
+        consonant_count: row.consonant_count,
+        sentence_count: row.sentence_count,
+        character_classes: row.character_classes,
+        entropy: row.entropy,
+        longest_word: row.longest_word,
+        anagram_signature: row.anagram_signature,
+        script: row.script,
+        language_hint: row.language_hint,
     },
+    tags: row.tags,
+    metadata: row.metadata,
     created_at: row.created_at.toISOString(),
 });
 
-/**
- * Helper function for structured and NLP filtering: Generates the SQL WHERE clause and values.
- */
-const buildFilterQuery = (filters) => {
-    let query = 'SELECT * FROM strings WHERE 1=1';
-    const values = [];
-    let paramIndex = 1;
-
-    // Filter Validation and Query Building
-    if (filters.is_palindrome !== undefined) {
-        const val = filters.is_palindrome === 'true';
-        if (typeof val !== 'boolean') throw new Error('is_palindrome must be a boolean (true/false).');
-        query += ` AND is_palindrome = $${paramIndex++}`;
-        values.push(val);
-    }
-    if (filters.min_length) {
-        const val = parseInt(filters.min_length);
-        if (isNaN(val)) throw new Error('min_length must be an integer.');
-        query += ` AND length >= $${paramIndex++}`;
-        values.push(val);
-    }
-    // ... add similar logic for max_length and word_count ...
-    if (filters.max_length) {
-        const val = parseInt(filters.max_length);
-        if (isNaN(val)) throw new Error('max_length must be an integer.');
-        query += ` AND length <= $${paramIndex++}`;
-        values.push(val);
-    }
-    if (filters.word_count) {
-        const val = parseInt(filters.word_count);
-        if (isNaN(val)) throw new Error('word_count must be an integer.');
-        query += ` AND word_count = $${paramIndex++}`;
-        values.push(val);
-    }
-    if (filters.contains_character) {
-        const char = filters.contains_character;
-        if (typeof char !== 'string' || char.length !== 1) throw new Error('contains_character must be a single character string.');
-        query += ` AND value ILIKE $${paramIndex++}`; // ILIKE for case-insensitive contain check
-        values.push(`%${char}%`);
-    }
-
-    query += ' ORDER BY created_at DESC';
-    return { query, values };
-};
-
-
 // 1. POST /strings
 router.post('/', async (req, res) => {
     const { value } = req.body;
     if (value === undefined) return res.status(400).send({ error: 'Missing "value" field.' });
     if (typeof value !== 'string') return res.status(422).send({ error: 'Invalid data type for "value", must be a string.' });
 
+    let annotations;
     try {
-        const analysis = analyzeString(value);
-        const { id, properties } = analysis;
-
-        // Check for conflict (409)
-        const conflict = await db.query('SELECT created_at FROM strings WHERE id = $1', [id]);
-        if (conflict.rowCount > 0) return res.status(409).send({ error: 'String already exists in the system.' });
-
-        // Insert new string
-        await db.query(
-            `INSERT INTO strings (id, value, length, is_palindrome, unique_characters, word_count, char_freq_map)
-             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-            [id, value, properties.length, properties.is_palindrome, properties.unique_characters, properties.word_count, properties.character_frequency_map]
-        );
+        annotations = parseAnnotations(req.body);
+    } catch (error) {
+        return res.status(400).send({ error: error.message });
+    }
 
-        const result = await db.query('SELECT * FROM strings WHERE id = $1', [id]);
-        return res.status(201).json(formatResponse(result.rows[0]));
+    try {
+        // Insert new string; null means it already exists (409)
+        const row = await db.strings.insert(req.collection.id, { ...toRecord(value), ...annotations });
+        if (!row) return res.status(409).send({ error: 'String already exists in the system.' });
+
+        return res.status(201).json(formatResponse(row));
 
     } catch (error) {
         console.error('POST /strings Error:', error.message);
@@ -96,64 +70,166 @@ router.post('/', async (req, res) => {
 });
 
 
-// 2. GET /strings/{string_value}
-router.get('/:stringValue', async (req, res) => {
+// 1b. POST /strings/batch
+// Results are per item: created, duplicate (already stored or repeated in the batch) or invalid
+router.post('/batch', async (req, res) => {
+    let items;
     try {
-        const { id } = analyzeString(req.params.stringValue);
-        const result = await db.query('SELECT * FROM strings WHERE id = $1', [id]);
+        items = parseBatchInput(req);
+    } catch (error) {
+        return res.status(400).send({ error: error.message });
+    }
+    if (items.length === 0) return res.status(400).send({ error: 'Batch contains no values.' });
+    const maxBatchSize = getMaxBatchSize();
+    if (items.length > maxBatchSize) {
+        return res.status(413).send({ error: `Batch exceeds the limit of ${maxBatchSize} values.` });
+    }
+
+    try {
+        const records = new Map();
+        const results = items.map((item, index) => {
+            if (item.error) return { index, status: 'invalid', error: item.error };
+            const record = toRecord(item.value);
+            if (!records.has(record.id)) records.set(record.id, record);
+            return { index, id: record.id };
+        });
+
+        const created = new Set(await db.strings.insertMany(req.collection.id, [...records.values()]));
 
-        if (result.rowCount === 0) return res.status(404).send({ error: 'String does not exist in the system.' });
+        const summary = { received: items.length, created: 0, duplicate: 0, invalid: 0 };
+        for (const result of results) {
+            if (!result.status) {
+                // Only the first occurrence of a value can be the one that was created
+                result.status = created.delete(result.id) ? 'created' : 'duplicate';
+            }
+            summary[result.status] += 1;
+        }
 
-        return res.status(200).json(formatResponse(result.rows[0]));
+        return res.status(200).json({ summary, results });
 
     } catch (error) {
-        console.error('GET /strings/{value} Error:', error.message);
+        console.error('POST /strings/batch Error:', error.message);
         return res.status(500).send({ error: 'Internal Server Error' });
     }
 });
 
 
-// 3. GET /strings?filters...
-router.get('/', async (req, res) => {
+// 1c. GET /strings/-/similar?value=...&method=...&limit=...&min_score=...
+router.get('/-/similar', async (req, res) => {
+    const { value, method = 'levenshtein' } = req.query;
+    if (typeof value !== 'string' || value === '') return res.status(400).send({ error: 'Missing "value" parameter.' });
+    if (value.length > MAX_VALUE_LENGTH) {
+        return res.status(400).send({ error: `value must be at most ${MAX_VALUE_LENGTH} characters.` });
+    }
+    if (!SIMILARITY_METHODS.includes(method)) {
+        return res.status(400).send({ error: `method must be one of: ${SIMILARITY_METHODS.join(', ')}.` });
+    }
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).send({ error: 'limit must be an integer between 1 and 100.' });
+    }
+    const minScore = req.query.min_score === undefined ? 0 : Number(req.query.min_score);
+    if (req.query.min_score === '' || !(minScore >= 0 && minScore <= 1)) {
+        return res.status(400).send({ error: 'min_score must be a number between 0 and 1.' });
+    }
+
+    try {
+        // Only the stored strings closest in length get scored
+        const rows = await db.strings.findNearestLength(
+            req.collection.id,
+            candidateLengthFilters(method, value, minScore),
+            { length: value.length, limit: MAX_CANDIDATES }
+        );
+        const query = { value, char_freq_map: analyzeString(value).properties.character_frequency_map };
+        const ranked = rankBySimilarity(method, query, rows, { limit, minScore });
+
+        return res.status(200).json({
+            data: ranked.map(({ row, similarity }) => ({ ...formatResponse(row), similarity: { method, ...similarity } })),
+            count: ranked.length,
+            candidates_scored: rows.length,
+            query: { value, method, limit, min_score: minScore },
+        });
+    } catch (error) {
+        console.error('GET /strings/-/similar Error:', error.message);
+        return res.status(500).send({ error: 'Internal Server Error' });
+    }
+});
+
+
+// 1d. GET /strings/-/anagrams?value=...
+// Stored strings with the same letters and digits, ignoring case, accents, spaces and punctuation
+router.get('/-/anagrams', async (req, res) => {
+    const { value } = req.query;
+    if (typeof value !== 'string' || value === '') return res.status(400).send({ error: 'Missing "value" parameter.' });
+
+    const signature = anagramSignature(value);
+    if (signature === '') return res.status(400).send({ error: '"value" must contain at least one letter or digit.' });
+
+    try {
+        const { id } = analyzeString(value);
+        const rows = (await db.strings.find(req.collection.id, { anagram_signature: signature })).filter((row) => row.id !== id);
+
+        return res.status(200).json({
+            data: rows.map(formatResponse),
+            count: rows.length,
+            anagram_signature: signature,
+        });
+    } catch (error) {
+        console.error('GET /strings/-/anagrams Error:', error.message);
+        return res.status(500).send({ error: 'Internal Server Error' });
+    }
+});
+
+
+// 1e. GET /strings/-/stats
+// Corpus-wide aggregates over the strings matching the same filters as GET /strings
+router.get('/-/stats', async (req, res) => {
+    let filters;
+    let options;
     try {
-        const filters = req.query;
-        const { query, values } = buildFilterQuery(filters);
+        options = parseStatsOptions(req.query);
+        filters = parseFilters(req.query);
+    } catch (error) {
+        return res.status(400).send({ error: error.message });
+    }
 
-        const result = await db.query(query, values);
-        
+    try {
+        const stats = await db.strings.stats(req.collection.id, filters, options);
         return res.status(200).json({
-            data: result.rows.map(formatResponse),
-            count: result.rowCount,
+            ...formatStats(stats, options),
             filters_applied: filters,
         });
     } catch (error) {
-        console.error('GET /strings Error:', error.message);
-        return res.status(400).send({ error: error.message || 'Invalid query parameter values or types.' });
+        console.error('GET /strings/-/stats Error:', error.message);
+        return res.status(500).send({ error: 'Internal Server Error' });
     }
 });
 
 
 // 4. GET /strings/filter-by-natural-language?query=...
+// Registered before /:stringValue so the path isn't looked up as a string
 router.get('/filter-by-natural-language', async (req, res) => {
     const originalQuery = req.query.query;
     if (!originalQuery) return res.status(400).send({ error: 'Missing "query" parameter.' });
 
     try {
-        const parsedFilters = parseNaturalLanguage(originalQuery);
-        const { query, values } = buildFilterQuery(parsedFilters); // Reuse SQL generation
-        const result = await db.query(query, values);
+        const { tree, parsed_filters, explanation } = parseNaturalLanguage(originalQuery);
+        const rows = await db.strings.findByTree(req.collection.id, tree);
 
         return res.status(200).json({
-            data: result.rows.map(formatResponse),
-            count: result.rowCount,
+            data: rows.map(formatResponse),
+            count: rows.length,
             interpreted_query: {
                 original: originalQuery,
-                parsed_filters: parsedFilters
+                parsed_filters,
+                filter_tree: tree,
+                explanation,
             }
         });
     } catch (error) {
-        if (error.message.includes('Unable to parse')) return res.status(400).send({ error: error.message });
-        if (error.message.includes('Conflicting')) return res.status(422).send({ error: error.message });
+        if (error instanceof QueryParseError) {
+            return res.status(error.status).send({ error: error.message, ...error.details });
+        }
 
         console.error('GET /strings/filter-by-natural-language Error:', error.message);
         return res.status(500).send({ error: 'Internal Server Error' });
@@ -161,13 +237,57 @@ router.get('/filter-by-natural-language', async (req, res) => {
 });
 
 
+// 2. GET /strings/{string_value}
+router.get('/:stringValue', async (req, res) => {
+    try {
+        const { id } = analyzeString(req.params.stringValue);
+        const row = await db.strings.findById(req.collection.id, id);
+
+        if (!row) return res.status(404).send({ error: 'String does not exist in the system.' });
+
+        return res.status(200).json(formatResponse(row));
+
+    } catch (error) {
+        console.error('GET /strings/{value} Error:', error.message);
+        return res.status(500).send({ error: 'Internal Server Error' });
+    }
+});
+
+
+// 3. GET /strings?filters...
+router.get('/', async (req, res) => {
+    try {
+        checkListParams(req.query);
+        const filters = parseFilters(req.query);
+        const { sortBy, order, limit, after } = parseListOptions(req.query);
+
+        // One extra row tells whether another page follows
+        const rows = await db.strings.find(req.collection.id, filters, { sortBy, order, limit: limit + 1, after });
+        const page = rows.slice(0, limit);
+        const nextCursor = rows.length > limit ? encodeCursor(page[page.length - 1], sortBy, order) : null;
+
+        return res.status(200).json({
+            data: page.map(formatResponse),
+            count: page.length,
+            filters_applied: filters,
+            sort: { sort_by: sortBy, order },
+            limit,
+            next_cursor: nextCursor,
+        });
+    } catch (error) {
+        console.error('GET /strings Error:', error.message);
+        return res.status(400).send({ error: error.message || 'Invalid query parameter values or types.' });
+    }
+});
+
+
 // 5. DELETE /strings/{string_value}
 router.delete('/:stringValue', async (req, res) => {
     try {
         const { id } = analyzeString(req.params.stringValue);
-        const result = await db.query('DELETE FROM strings WHERE id = $1', [id]);
+        const deleted = await db.strings.deleteById(req.collection.id, id);
 
-        if (result.rowCount === 0) return res.status(404).send({ error: 'String does not exist in the system.' });
+        if (!deleted) return res.status(404).send({ error: 'String does not exist in the system.' });
 
         return res.status(204).send(); // No Content
 
@@ -178,4 +298,30 @@ router.delete('/:stringValue', async (req, res) => {
 });
 
 
+// 6. PATCH /strings/{string_value}
+// Replaces the string's tags and/or metadata; the analysis itself never changes
+router.patch('/:stringValue', async (req, res) => {
+    let annotations;
+    try {
+        annotations = parseAnnotations(req.body);
+    } catch (error) {
+        return res.status(400).send({ error: error.message });
+    }
+    if (Object.keys(annotations).length === 0) return res.status(400).send({ error: 'Provide "tags" and/or "metadata".' });
+
+    try {
+        const { id } = analyzeString(req.params.stringValue);
+        const row = await db.strings.updateAnnotations(req.collection.id, id, annotations);
+
+        if (!row) return res.status(404).send({ error: 'String does not exist in the system.' });
+
+        return res.status(200).json(formatResponse(row));
+
+    } catch (error) {
+        console.error('PATCH /strings/{value} Error:', error.message);
+        return res.status(500).send({ error: 'Internal Server Error' });
+    }
+});
+
+
 module.exports = router;
@@ -2,12 +2,17 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const db = require('./db');
 const stringRoutes = require('./routes/stringRoutes');
+const collectionRoutes = require('./routes/collectionRoutes');
+const { batchBodyParsers } = require('./utils/batchInput');
+const { DEFAULT_COLLECTION } = require('./utils/collections');
 require('dotenv').config(); // Load .env file
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
+// Batch uploads get their own, larger body limit (see utils/batchInput.js)
+app.use(['/strings/batch', '/collections/:name/strings/batch'], batchBodyParsers);
 app.use(bodyParser.json());
 
 // Basic health check
@@ -16,10 +21,17 @@ app.get('/', (req, res) => {
 });
 
 // API Routes
-app.use('/strings', stringRoutes);
+// /strings is the shared default collection and needs no API key
+app.use('/strings', (req, res, next) => {
+    req.collection = DEFAULT_COLLECTION;
+    next();
+}, stringRoutes);
+app.use('/collections', collectionRoutes);
 
 // Global error handling
 app.use((err, req, res, next) => {
+    // body-parser errors (malformed JSON, oversized uploads) carry their own 4xx status
+    if (err.status >= 400 && err.status < 500) return res.status(err.status).send({ error: err.message });
     console.error(err.stack);
     res.status(500).send('An internal server error occurred.');
 });
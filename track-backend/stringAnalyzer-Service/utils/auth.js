@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+const TENANT_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+/**
+ * Reads TENANT_API_KEYS, comma-separated `tenant:key` pairs
+ * (e.g. "search-team:k1,content-team:k2"), into [{ tenant, hash }].
+ * A tenant may list several keys to rotate them. Throws on malformed entries
+ * so a typo fails at startup instead of locking a tenant out.
+ */
+const loadTenantKeys = (config = process.env.TENANT_API_KEYS || '') => config
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+        const separator = entry.indexOf(':');
+        const tenant = entry.slice(0, separator).trim().toLowerCase();
+        const key = entry.slice(separator + 1).trim();
+        if (separator === -1 || !TENANT_PATTERN.test(tenant) || key === '') {
+            throw new Error('TENANT_API_KEYS entries must look like tenant:key (tenant: a-z, 0-9, "-", "_").');
+        }
+        return { tenant, hash: hashKey(key) };
+    });
+
+const tenantKeys = loadTenantKeys();
+
+// Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const extractKey = (req) => {
+    const header = req.get('authorization');
+    if (header && /^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, '').trim();
+    return req.get('x-api-key') || null;
+};
+
+// Compares against every configured key so timing doesn't reveal which one matched
+const findTenant = (key) => {
+    const hash = hashKey(key);
+    let tenant = null;
+    for (const entry of tenantKeys) {
+        if (crypto.timingSafeEqual(entry.hash, hash) && tenant === null) tenant = entry.tenant;
+    }
+    return tenant;
+};
+
+/**
+ * Resolves the caller's API key into req.tenant. Collections are only
+ * reachable with a key, so a missing or unknown key is a 401.
+ */
+const requireTenant = (req, res, next) => {
+    const key = extractKey(req);
+    if (!key) return res.status(401).send({ error: 'API key required (Authorization: Bearer <key> or X-API-Key).' });
+
+    const tenant = findTenant(key);
+    if (!tenant) return res.status(401).send({ error: 'Invalid API key.' });
+
+    req.tenant = tenant;
+    next();
+};
+
+module.exports = {
+    requireTenant,
+};
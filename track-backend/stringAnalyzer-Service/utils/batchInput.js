@@ -0,0 +1,64 @@
+const bodyParser = require('body-parser');
+
+const DEFAULT_MAX_BATCH_SIZE = 5000;
+const BODY_LIMIT = process.env.BATCH_BODY_LIMIT || '5mb';
+const TEXT_TYPES = ['text/plain', 'application/x-ndjson', 'application/ndjson'];
+
+const getMaxBatchSize = () => parseInt(process.env.MAX_BATCH_SIZE) || DEFAULT_MAX_BATCH_SIZE;
+
+/**
+ * Body parsers for POST /strings/batch. Mounted ahead of the app-wide JSON
+ * parser so batch uploads get a bigger size limit than single requests.
+ */
+const batchBodyParsers = [
+    bodyParser.json({ limit: BODY_LIMIT }),
+    bodyParser.text({ type: TEXT_TYPES, limit: BODY_LIMIT }),
+];
+
+// Every item is { value } or { error } so one bad line doesn't reject the whole batch
+const fromJsonValue = (item) => {
+    if (item !== null && typeof item === 'object' && !Array.isArray(item)) {
+        if (item.value === undefined) return { error: 'Missing "value" field.' };
+        item = item.value;
+    }
+    if (typeof item !== 'string') return { error: 'Invalid data type for "value", must be a string.' };
+    return { value: item };
+};
+
+const splitLines = (text) => text.split('\n').map((line) => line.replace(/\r$/, ''));
+
+/**
+ * Turns a batch request body into a list of items. Accepts:
+ *   application/json      ["a", "b"] or { "values": ["a", "b"] }
+ *   application/x-ndjson  one JSON string or { "value": ... } object per line
+ *   text/plain            one raw value per line
+ * Blank lines are skipped in the line-based formats.
+ */
+const parseBatchInput = (req) => {
+    const { body } = req;
+
+    if (typeof body === 'string') {
+        const lines = splitLines(body).filter((line) => line.trim() !== '');
+        if (req.is('text/plain')) return lines.map((line) => ({ value: line }));
+
+        return lines.map((line) => {
+            try {
+                return fromJsonValue(JSON.parse(line));
+            } catch {
+                return { error: 'Invalid JSON on this line.' };
+            }
+        });
+    }
+
+    const values = Array.isArray(body) ? body : body && body.values;
+    if (!Array.isArray(values)) {
+        throw new Error('Body must be a JSON array of strings, an object with a "values" array, NDJSON or plain text lines.');
+    }
+    return values.map(fromJsonValue);
+};
+
+module.exports = {
+    batchBodyParsers,
+    getMaxBatchSize,
+    parseBatchInput,
+};
@@ -0,0 +1,56 @@
+// The keyless collection /strings serves (created by migration 003)
+const DEFAULT_COLLECTION = { id: 0, tenant: null, name: 'default' };
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_METADATA_BYTES = 4096;
+
+const parseCollectionName = (name) => {
+    const normalized = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    if (!NAME_PATTERN.test(normalized)) {
+        throw new Error('name must be 1-63 characters of a-z, 0-9, "-" or "_", starting with a letter or digit.');
+    }
+    return normalized;
+};
+
+const parseTags = (tags) => {
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+        throw new Error(`tags must be an array of at most ${MAX_TAGS} strings.`);
+    }
+    const normalized = tags.map((tag) => {
+        if (typeof tag !== 'string' || tag.trim() === '' || tag.trim().length > MAX_TAG_LENGTH) {
+            throw new Error(`Each tag must be a non-empty string of at most ${MAX_TAG_LENGTH} characters.`);
+        }
+        return tag.trim().toLowerCase();
+    });
+    return [...new Set(normalized)];
+};
+
+const parseMetadata = (metadata) => {
+    if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new Error('metadata must be a JSON object.');
+    }
+    if (Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES) {
+        throw new Error(`metadata must serialize to at most ${MAX_METADATA_BYTES} bytes.`);
+    }
+    return metadata;
+};
+
+/**
+ * Validates the optional tags and metadata of a request body. Only the keys
+ * present in `body` are returned, so callers can tell "unchanged" from "cleared".
+ */
+const parseAnnotations = (body) => {
+    const annotations = {};
+    if (body.tags !== undefined) annotations.tags = parseTags(body.tags);
+    if (body.metadata !== undefined) annotations.metadata = parseMetadata(body.metadata);
+    return annotations;
+};
+
+module.exports = {
+    DEFAULT_COLLECTION,
+    parseCollectionName,
+    parseAnnotations,
+};
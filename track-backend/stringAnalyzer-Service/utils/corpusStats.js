@@ -0,0 +1,62 @@
+const { FILTER_PARAMS, checkQueryParams } = require('./stringFilters');
+
+const DEFAULT_BUCKET_SIZE = 10;
+const MAX_BUCKET_SIZE = 10000;
+const DEFAULT_TOP_CHARACTERS = 10;
+const MAX_TOP_CHARACTERS = 100;
+
+const STATS_PARAMS = [...FILTER_PARAMS, 'bucket_size', 'top_characters'];
+
+const parseBounded = (query, param, fallback, max) => {
+    const value = query[param] === undefined ? fallback : Number(query[param]);
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+        throw new Error(`${param} must be an integer between 1 and ${max}.`);
+    }
+    return value;
+};
+
+/**
+ * Validates the params of GET /strings/-/stats besides the filters into the
+ * options the repositories' stats() takes: { bucketSize, topCharacters }.
+ */
+const parseStatsOptions = (query) => {
+    checkQueryParams(query, STATS_PARAMS);
+    return {
+        bucketSize: parseBounded(query, 'bucket_size', DEFAULT_BUCKET_SIZE, MAX_BUCKET_SIZE),
+        topCharacters: parseBounded(query, 'top_characters', DEFAULT_TOP_CHARACTERS, MAX_TOP_CHARACTERS),
+    };
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Shapes the aggregates a repository's stats() returns into the
+ * GET /strings/-/stats response body.
+ */
+const formatStats = (stats, { bucketSize }) => ({
+    totals: {
+        strings: stats.total,
+        characters: stats.characters,
+        words: stats.words,
+        palindromes: stats.palindromes,
+    },
+    palindrome_ratio: stats.total === 0 ? 0 : round(stats.palindromes / stats.total),
+    length: {
+        min: stats.min_length,
+        max: stats.max_length,
+        average: stats.avg_length === null ? null : round(stats.avg_length),
+    },
+    length_histogram: stats.length_histogram.map(({ bucket_start: start, count }) => ({
+        min: start,
+        max: start + bucketSize - 1,
+        count,
+    })),
+    word_count_histogram: stats.word_count_histogram,
+    top_characters: stats.top_characters,
+    ingested_per_day: stats.ingested_per_day,
+});
+
+module.exports = {
+    formatStats,
+    parseStatsOptions,
+};
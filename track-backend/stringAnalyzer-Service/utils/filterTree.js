@@ -0,0 +1,238 @@
+const { CLASS_FILTERS } = require('./stringFilters');
+
+/**
+ * Filter trees express what flat query filters can't: OR, negation and
+ * repeated conditions on one property. A node is one of
+ *   { and: [node, ...] }
+ *   { or: [node, ...] }
+ *   { field, op, value }   a leaf; see FIELDS for the fields and their ops
+ * Trees never contain NOT: negate() pushes negation down into the leaves.
+ */
+const FIELDS = {
+    length: 'count',
+    word_count: 'count',
+    vowel_count: 'count',
+    consonant_count: 'count',
+    sentence_count: 'count',
+    unique_characters: 'count',
+    is_palindrome: 'boolean',
+    contains: 'contains',
+    has_digits: 'boolean',
+    has_punctuation: 'boolean',
+    has_emoji: 'boolean',
+    script: 'text',
+    language_hint: 'text',
+};
+
+const NEGATED_OPS = {
+    '=': '!=',
+    '!=': '=',
+    '>': '<=',
+    '>=': '<',
+    '<': '>=',
+    '<=': '>',
+    contains: 'not_contains',
+    not_contains: 'contains',
+};
+
+// Merges nested groups of the same kind and unwraps single-child groups
+const group = (kind) => (nodes) => {
+    const children = nodes
+        .filter(Boolean)
+        .flatMap((node) => (node[kind] ? node[kind] : [node]));
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { [kind]: children };
+};
+
+const and = group('and');
+const or = group('or');
+
+const leaf = (field, op, value) => ({ field, op, value });
+
+// De Morgan for groups, the opposite comparison (or boolean) for leaves
+const negate = (node) => {
+    if (node.and) return or(node.and.map(negate));
+    if (node.or) return and(node.or.map(negate));
+    if (FIELDS[node.field] === 'boolean') return leaf(node.field, node.op, !node.value);
+    return leaf(node.field, NEGATED_OPS[node.op], node.value);
+};
+
+const COMPARE = {
+    '=': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+};
+
+/**
+ * Checks a stored row against a tree (used by the memory repository;
+ * the postgres repository compiles the same tree to SQL).
+ */
+const evaluate = (node, row) => {
+    if (node.and) return node.and.every((child) => evaluate(child, row));
+    if (node.or) return node.or.some((child) => evaluate(child, row));
+
+    const { field, op, value } = node;
+    if (field === 'contains') {
+        const found = row.value.toLowerCase().includes(value.toLowerCase());
+        return op === 'contains' ? found : !found;
+    }
+    if (CLASS_FILTERS[field]) return (row.character_classes[CLASS_FILTERS[field]] > 0) === value;
+    if (FIELDS[field] === 'text') return COMPARE[op]((row[field] || '').toLowerCase(), value);
+    return COMPARE[op](row[field], value);
+};
+
+const UNITS = {
+    length: ['character', 'characters'],
+    word_count: ['word', 'words'],
+    vowel_count: ['vowel', 'vowels'],
+    consonant_count: ['consonant', 'consonants'],
+    sentence_count: ['sentence', 'sentences'],
+    unique_characters: ['unique character', 'unique characters'],
+};
+
+const COUNT_PHRASES = {
+    '=': 'exactly',
+    '!=': 'other than',
+    '>': 'more than',
+    '>=': 'at least',
+    '<': 'fewer than',
+    '<=': 'at most',
+};
+
+const LENGTH_PHRASES = {
+    '=': (n) => `exactly ${n} characters long`,
+    '!=': (n) => `not ${n} characters long`,
+    '>': (n) => `longer than ${n} characters`,
+    '>=': (n) => `at least ${n} characters long`,
+    '<': (n) => `shorter than ${n} characters`,
+    '<=': (n) => `at most ${n} characters long`,
+};
+
+const BOOLEAN_PHRASES = {
+    is_palindrome: ['that are palindromes', 'that are not palindromes'],
+    has_digits: ['with digits', 'without digits'],
+    has_punctuation: ['with punctuation', 'without punctuation'],
+    has_emoji: ['with emoji', 'without emoji'],
+};
+
+const LANGUAGE_NAMES = {
+    en: 'English', es: 'Spanish', fr: 'French', de: 'German', it: 'Italian', pt: 'Portuguese', nl: 'Dutch',
+    ru: 'Russian', el: 'Greek', ar: 'Arabic', he: 'Hebrew', hi: 'Hindi', th: 'Thai', ko: 'Korean', zh: 'Chinese', ja: 'Japanese',
+};
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const describeLeaf = ({ field, op, value }) => {
+    if (field === 'length') return LENGTH_PHRASES[op](value);
+    if (UNITS[field]) {
+        const unit = UNITS[field][value === 1 ? 0 : 1];
+        if (value === 0 && op === '=') return `with no ${UNITS[field][1]}`;
+        return `with ${COUNT_PHRASES[op]} ${value} ${unit}`;
+    }
+    if (BOOLEAN_PHRASES[field]) return BOOLEAN_PHRASES[field][value ? 0 : 1];
+    if (field === 'contains') return `${op === 'contains' ? 'containing' : 'not containing'} ${JSON.stringify(value)}`;
+    if (field === 'language_hint') return `${op === '=' ? 'in' : 'not in'} ${LANGUAGE_NAMES[value] || value}`;
+    return `${op === '=' ? 'in' : 'not in'} ${capitalize(value)} script`;
+};
+
+const describeNode = (node, nested) => {
+    if (!node.and && !node.or) return describeLeaf(node);
+    const text = (node.and || node.or)
+        .map((child) => describeNode(child, true))
+        .join(node.and ? ' and ' : ' or ');
+    return nested ? `(${text})` : text;
+};
+
+/**
+ * Reads a tree back as English, e.g.
+ * "Strings that are palindromes and (containing "a" or longer than 5 characters)".
+ */
+const describe = (tree) => `Strings ${describeNode(tree, false)}`;
+
+// The GET /strings parameters each single-leaf condition maps onto, as
+// [param, value] pairs (an exact count needs both a min and a max), or null
+const toFlatFilter = ({ field, op, value }) => {
+    if (field === 'is_palindrome' || CLASS_FILTERS[field]) return [[field, value]];
+    if (field === 'contains' && op === 'contains' && [...value].length === 1) return [['contains_character', value]];
+    if ((field === 'script' || field === 'language_hint') && op === '=') return [[field, value]];
+    if (field === 'length') {
+        if (op === '=') return [['min_length', value], ['max_length', value]];
+        if (op === '>') return [['min_length', value + 1]];
+        if (op === '>=') return [['min_length', value]];
+        if (op === '<') return [['max_length', value - 1]];
+        if (op === '<=') return [['max_length', value]];
+    }
+    if (op === '=' && (field === 'word_count' || field === 'sentence_count')) return [[field, value]];
+    if (field === 'vowel_count' || field === 'consonant_count') {
+        if (op === '=') return [[`min_${field}`, value], [`max_${field}`, value]];
+        if (op === '>=') return [[`min_${field}`, value]];
+        if (op === '<=') return [[`max_${field}`, value]];
+    }
+    return null;
+};
+
+/**
+ * The equivalent flat GET /strings filters when the tree is a plain AND of
+ * conditions those filters can express, otherwise null.
+ */
+const toFlatFilters = (tree) => {
+    const filters = {};
+    for (const node of tree.and || [tree]) {
+        const entries = node.field ? toFlatFilter(node) : null;
+        if (!entries) return null;
+        for (const [param, value] of entries) {
+            if (param in filters) return null;
+            filters[param] = value;
+        }
+    }
+    return filters;
+};
+
+/**
+ * Finds the first AND group (or lone condition) whose conditions on one
+ * property can't all hold, e.g. longer than 10 and shorter than 5 characters,
+ * or shorter than 0 characters. Returns the field or null.
+ */
+const findConflict = (node) => {
+    if (node.or) {
+        for (const child of node.or) {
+            const conflict = findConflict(child);
+            if (conflict) return conflict;
+        }
+        return null;
+    }
+
+    const bounds = {};
+    for (const child of node.and || [node]) {
+        const nested = child.field ? null : findConflict(child);
+        if (nested) return nested;
+        if (!child.field) continue;
+
+        const { field, op, value } = child;
+        const bound = bounds[field] || (bounds[field] = { min: 0, max: Infinity, equals: new Set() });
+        if (FIELDS[field] === 'boolean') bound.equals.add(value);
+        if (FIELDS[field] !== 'count') continue;
+        // Counts are non-negative integers, so strict bounds tighten by one
+        if (op === '=') { bound.min = Math.max(bound.min, value); bound.max = Math.min(bound.max, value); }
+        if (op === '>') bound.min = Math.max(bound.min, value + 1);
+        if (op === '>=') bound.min = Math.max(bound.min, value);
+        if (op === '<') bound.max = Math.min(bound.max, value - 1);
+        if (op === '<=') bound.max = Math.min(bound.max, value);
+    }
+    return Object.keys(bounds).find((field) => bounds[field].min > bounds[field].max || bounds[field].equals.size > 1) || null;
+};
+
+module.exports = {
+    FIELDS,
+    and,
+    or,
+    leaf,
+    negate,
+    evaluate,
+    describe,
+    toFlatFilters,
+    findConflict,
+};
@@ -1,58 +1,474 @@
+const { and, or, leaf, negate, describe, toFlatFilters, findConflict } = require('./filterTree');
+
 /**
- * Parses a natural language query into a set of structured filters.
+ * Thrown for queries that can't be turned into filters: status 400 for
+ * unrecognized words (listed in `unrecognized` with their positions), 422 for
+ * conditions that contradict each other or can never hold.
  */
-const parseNaturalLanguage = (query) => {
-    const filters = {};
-    const lowerQuery = query.toLowerCase();
+class QueryParseError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'QueryParseError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Words that carry no meaning in a query ("show me all strings that are ...")
+const FILLERS = new Set([
+    'show', 'me', 'find', 'get', 'give', 'list', 'return', 'fetch', 'search', 'for', 'all', 'any', 'every',
+    'only', 'just', 'strings', 'string', 'ones', 'those', 'these', 'entries', 'values', 'texts', 'text',
+    'phrases', 'items', 'that', 'which', 'who', 'whose', 'where', 'are', 'is', 'be', 'being', 'were', 'was',
+    'do', 'does', 'of', 'the', 'a', 'an', 'please', 'written', 'also', 'both', 'either', 'long', 'in',
+    '.', '?', '!',
+]);
 
-    // Palindrome check
-    if (lowerQuery.includes('palindrome') || lowerQuery.includes('palindromic')) {
-        filters.is_palindrome = 'true';
+const NEGATIONS = new Set(['not', 'non', "isn't", "aren't", "don't", "doesn't", 'never']);
+
+const NUMBER_WORDS = {
+    zero: 0, one: 1, single: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+    eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+    eighty: 80, ninety: 90,
+};
+
+// Count units and the property they count; "unique/distinct characters" is handled separately
+const UNITS = {
+    character: 'length', characters: 'length', char: 'length', chars: 'length',
+    word: 'word_count', words: 'word_count',
+    vowel: 'vowel_count', vowels: 'vowel_count',
+    consonant: 'consonant_count', consonants: 'consonant_count',
+    sentence: 'sentence_count', sentences: 'sentence_count',
+};
+
+// Comparators, longest phrase first; `field` is implied when no unit follows ("longer than 5")
+const COMPARATORS = [
+    { words: ['no', 'more', 'than'], op: '<=' },
+    { words: ['no', 'fewer', 'than'], op: '>=' },
+    { words: ['no', 'less', 'than'], op: '>=' },
+    { words: ['more', 'than'], op: '>' },
+    { words: ['greater', 'than'], op: '>' },
+    { words: ['longer', 'than'], op: '>', field: 'length' },
+    { words: ['shorter', 'than'], op: '<', field: 'length' },
+    { words: ['fewer', 'than'], op: '<' },
+    { words: ['less', 'than'], op: '<' },
+    { words: ['at', 'least'], op: '>=' },
+    { words: ['at', 'most'], op: '<=' },
+    { words: ['up', 'to'], op: '<=' },
+    { words: ['equal', 'to'], op: '=' },
+    { words: ['over'], op: '>' },
+    { words: ['above'], op: '>' },
+    { words: ['under'], op: '<' },
+    { words: ['below'], op: '<' },
+    { words: ['exactly'], op: '=' },
+    { words: ['precisely'], op: '=' },
+    { words: ['between'], op: 'between' },
+];
+
+// "5 words or more"
+const POSTFIX_COMPARATORS = {
+    more: '>=', longer: '>=', greater: '>=', above: '>=',
+    fewer: '<=', less: '<=', shorter: '<=', below: '<=',
+};
+
+const CONTAINS_WORDS = new Set(['contain', 'contains', 'containing', 'include', 'includes', 'including']);
+// Introduce a contains condition only when a character follows ("with the letter z")
+const SOFT_CONTAINS_WORDS = new Set(['with', 'having', 'has', 'have']);
+
+const CHARACTER_NOUNS = new Set(['letter', 'letters', 'character', 'characters', 'char', 'chars']);
+const ORDINAL_VOWELS = { first: 'a', second: 'e', third: 'i', fourth: 'o', fifth: 'u' };
+
+const CLASS_WORDS = {
+    digit: 'has_digits', digits: 'has_digits', number: 'has_digits', numbers: 'has_digits',
+    numeral: 'has_digits', numerals: 'has_digits',
+    punctuation: 'has_punctuation',
+    emoji: 'has_emoji', emojis: 'has_emoji',
+};
+
+const PALINDROME_WORDS = new Set(['palindrome', 'palindromes', 'palindromic']);
+
+const LANGUAGES = {
+    english: 'en', spanish: 'es', french: 'fr', german: 'de', italian: 'it', portuguese: 'pt', dutch: 'nl',
+    russian: 'ru', greek: 'el', arabic: 'ar', hebrew: 'he', hindi: 'hi', thai: 'th', korean: 'ko',
+    chinese: 'zh', japanese: 'ja',
+};
+// Scripts that aren't also a language name above
+const SCRIPT_NAMES = new Set(['latin', 'cyrillic', 'devanagari', 'hangul', 'han', 'kana']);
+
+// Quoted text, numbers, words (with an inner apostrophe, as in "don't") and single symbols
+const TOKEN_PATTERN = /(?<![\p{L}\p{N}])'([^']*)'|"([^"]*)"|(\d+)|([\p{L}\p{N}]+(?:'\p{L}+)?)|(\S)/gu;
+
+const tokenize = (query) => {
+    // Hyphenated words ("non-palindromic", "twenty-one") are read as separate words;
+    // both replacements keep positions intact
+    const text = query
+        .replace(/[‘’]/g, "'")
+        .replace(/(?<=[\p{L}\p{N}])-(?=[\p{L}\p{N}])/gu, ' ');
+    const tokens = [];
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+        const [raw, single, double, digits, word] = match;
+        const position = match.index;
+        if (single !== undefined || double !== undefined) {
+            tokens.push({ type: 'quoted', text: single !== undefined ? single : double, raw, position });
+        } else if (digits !== undefined) {
+            tokens.push({ type: 'number', text: digits, value: parseInt(digits, 10), raw, position });
+        } else if (word !== undefined) {
+            tokens.push({ type: 'word', text: word.toLowerCase(), raw, position });
+        } else {
+            tokens.push({ type: 'symbol', text: raw, raw, position });
+        }
     }
+    return tokens;
+};
+
+/**
+ * Recursive-descent parser over the tokens. Grammar, loosely:
+ *   query     := and_expr ("or" and_expr)*
+ *   and_expr  := unary (("and" | ",")? unary)*
+ *   unary     := negation unary | "(" query ")" | condition
+ *   condition := palindrome | count | contains | class | language | "empty"
+ *   count     := comparator? number ("and" number)? unit ("or more" | "or fewer")?
+ *   contains  := contains_word ("the")? ("letter" | "character")? char (("," | "and" | "or") char)*
+ * Filler words are skipped anywhere a condition may start; anything else that
+ * doesn't fit is collected as unrecognized.
+ */
+const createParser = (tokens) => {
+    let index = 0;
+    const unrecognized = [];
+
+    const peek = (offset = 0) => tokens[index + offset];
+    const isWord = (token, ...words) => Boolean(token) && token.type !== 'quoted' && words.includes(token.text);
+    const peekWord = (...words) => isWord(peek(), ...words);
+
+    // Consumes a fixed sequence of words when all of them are next
+    const acceptSequence = (words) => {
+        if (!words.every((word, offset) => isWord(peek(offset), word))) return false;
+        index += words.length;
+        return true;
+    };
+
+    const parseNumber = () => {
+        const token = peek();
+        if (!token) return null;
+        if (token.type === 'number') {
+            index += 1;
+            return token.value;
+        }
+        if (token.type !== 'word') return null;
+
+        // "twenty one", "one hundred twenty"; not "hundred and five": "and" joins conditions
+        let total = null;
+        while (peek() && peek().type === 'word') {
+            const { text } = peek();
+            const value = NUMBER_WORDS[text];
+            if (value !== undefined && total === null) {
+                total = value;
+            } else if (value !== undefined && total >= 100 && total % 100 === 0 && value < 100) {
+                total += value;
+            } else if (value !== undefined && total % 100 >= 20 && total % 10 === 0 && value < 10) {
+                total += value;
+            } else if (text === 'hundred' && (total === null || total < 100)) {
+                total = (total === null ? 1 : total) * 100;
+            } else {
+                break;
+            }
+            index += 1;
+        }
+        return total;
+    };
+
+    const parseUnit = () => {
+        if (peekWord('unique', 'distinct') && isWord(peek(1), 'character', 'characters', 'chars')) {
+            index += 2;
+            return 'unique_characters';
+        }
+        if (peek() && peek().type === 'word' && UNITS[peek().text]) {
+            return UNITS[tokens[index++].text];
+        }
+        return null;
+    };
 
-    // Word count check
-    if (lowerQuery.includes('single word')) {
-        filters.word_count = '1';
-    } else if (lowerQuery.includes('two words')) {
-        filters.word_count = '2';
+    const countLeaf = (field, op, value, upper) => (op === 'between'
+        ? and([leaf(field, '>=', Math.min(value, upper)), leaf(field, '<=', Math.max(value, upper))])
+        : leaf(field, op, value));
+
+    // "more than 5 words", "between 3 and 7 characters", "no vowels", "5 characters or longer"
+    const parseCount = (defaultField) => {
+        const start = index;
+        const comparator = COMPARATORS.find(({ words }) => acceptSequence(words));
+        let op = comparator ? comparator.op : '=';
+
+        let value;
+        if (!comparator && peekWord('no') && (UNITS[peek(1) && peek(1).text] || isWord(peek(1), 'unique', 'distinct'))) {
+            index += 1;
+            value = 0;
+        } else {
+            value = parseNumber();
+        }
+        if (value === null) {
+            index = start;
+            return null;
+        }
+
+        let upper;
+        if (op === 'between') {
+            upper = acceptSequence(['and']) ? parseNumber() : null;
+            if (upper === null) {
+                index = start;
+                return null;
+            }
+        }
+
+        // "or more" may come before or after the unit: "5 or more words", "5 words or more"
+        const acceptPostfix = () => {
+            if (comparator || op !== '=' || !peekWord('or') || !peek(1) || !POSTFIX_COMPARATORS[peek(1).text]) return;
+            op = POSTFIX_COMPARATORS[peek(1).text];
+            index += 2;
+        };
+
+        acceptPostfix();
+        const field = parseUnit() || defaultField || (comparator && comparator.field);
+        if (!field) {
+            index = start;
+            return null;
+        }
+        if (peekWord('long')) index += 1;
+        acceptPostfix();
+
+        return countLeaf(field, op, value, upper);
+    };
+
+    // A character to look for: a quoted string, a single letter/digit/symbol or "the first vowel"
+    const parseCharacter = () => {
+        const token = peek();
+        if (!token) return null;
+        if (token.type === 'quoted' && token.text !== '') {
+            index += 1;
+            return token.text;
+        }
+        if (isWord(token, ...Object.keys(ORDINAL_VOWELS)) && isWord(peek(1), 'vowel')) {
+            index += 2;
+            return ORDINAL_VOWELS[token.text];
+        }
+        if ([...token.text].length === 1 && !FILLERS.has(token.text) && !'(),'.includes(token.text)) {
+            index += 1;
+            return token.text;
+        }
+        // Lone "a" is a letter here, not an article: "containing a"
+        if (isWord(token, 'a') && !CHARACTER_NOUNS.has(peek(1) && peek(1).text)) {
+            index += 1;
+            return token.text;
+        }
+        return null;
+    };
+
+    // "the letters x, y and z" -> contains x AND y AND z; any "or" makes it contains x OR y OR z
+    const parseCharacterList = () => {
+        if (peekWord('the')) index += 1;
+        if ((peekWord('a', 'an') && CHARACTER_NOUNS.has(peek(1) && peek(1).text))) index += 1;
+        if (peek() && CHARACTER_NOUNS.has(peek().text)) index += 1;
+
+        const first = parseCharacter();
+        if (first === null) return null;
+
+        const characters = [first];
+        let anyOr = false;
+        for (;;) {
+            const saved = index;
+            const separator = peek();
+            if (!separator || !(isWord(separator, 'and', 'or') || separator.text === ',')) break;
+            index += 1;
+            if (separator.text === ',' && peekWord('and', 'or')) index += 1;
+            const isOr = isWord(separator, 'or') || isWord(tokens[index - 1], 'or');
+            const next = parseCharacter();
+            if (next === null) {
+                index = saved;
+                break;
+            }
+            anyOr = anyOr || isOr;
+            characters.push(next);
+        }
+        const leaves = characters.map((character) => leaf('contains', 'contains', character.toLowerCase()));
+        return anyOr ? or(leaves) : and(leaves);
+    };
+
+    // After "containing"/"with"/"without": a count, a character class or characters
+    const parseContainsBody = () => {
+        const count = parseCount();
+        if (count) return count;
+        if (peekWord('the') && peek(1) && CLASS_WORDS[peek(1).text]) index += 1;
+        if (peek() && CLASS_WORDS[peek().text]) return leaf(CLASS_WORDS[tokens[index++].text], '=', true);
+        // "with vowels" means at least one
+        if (peek() && peek().type === 'word' && UNITS[peek().text] && UNITS[peek().text] !== 'length') {
+            return leaf(UNITS[tokens[index++].text], '>=', 1);
+        }
+        return parseCharacterList();
+    };
+
+    const parseLanguage = () => {
+        const token = peek();
+        if (!token || token.type !== 'word') return null;
+        if (LANGUAGES[token.text]) {
+            index += 1;
+            return leaf('language_hint', '=', LANGUAGES[token.text]);
+        }
+        if (SCRIPT_NAMES.has(token.text)) {
+            index += 1;
+            if (peekWord('script')) index += 1;
+            return leaf('script', '=', token.text);
+        }
+        return null;
+    };
+
+    const parseCondition = () => {
+        const token = peek();
+        if (!token) return null;
+
+        if (token.type === 'symbol' && token.text === '(') {
+            index += 1;
+            const inner = parseOr();
+            if (peek() && peek().text === ')') index += 1;
+            else unrecognized.push({ token: '(', position: token.position, reason: 'missing closing parenthesis' });
+            return inner;
+        }
+        if (isWord(token, ...PALINDROME_WORDS)) {
+            index += 1;
+            return leaf('is_palindrome', '=', true);
+        }
+        if (isWord(token, 'empty')) {
+            index += 1;
+            return leaf('length', '=', 0);
+        }
+        if (isWord(token, 'length')) {
+            index += 1;
+            while (peekWord('of', 'is')) index += 1;
+            return parseCount('length');
+        }
+        if (isWord(token, 'without')) {
+            index += 1;
+            const body = parseContainsBody();
+            return body && negate(body);
+        }
+        if (isWord(token, ...CONTAINS_WORDS)) {
+            index += 1;
+            return parseContainsBody();
+        }
+        if (isWord(token, ...SOFT_CONTAINS_WORDS)) {
+            index += 1;
+            return parseContainsBody() || parseUnary();
+        }
+        if (CLASS_WORDS[token.text] && token.type === 'word') {
+            // "digits" on its own, as in "strings with no digits" -> handled by negation
+            index += 1;
+            return leaf(CLASS_WORDS[token.text], '=', true);
+        }
+        return parseCount() || parseLanguage();
+    };
+
+    const skipFillers = () => {
+        while (peek() && peek().type !== 'quoted' && FILLERS.has(peek().text)) index += 1;
+    };
+
+    function parseUnary() {
+        skipFillers();
+        if (peek() && (NEGATIONS.has(peek().text) || (peekWord('no') && !startsCount()))) {
+            index += 1;
+            const operand = parseUnary();
+            return operand && negate(operand);
+        }
+        return parseCondition();
     }
 
-    // Length check (using simple regex)
-    const minLengthMatch = lowerQuery.match(/longer than (\d+) characters?/);
-    if (minLengthMatch) {
-        // "longer than 10" -> min_length: 11
-        filters.min_length = String(parseInt(minLengthMatch[1]) + 1);
+    function startsCount() {
+        const saved = index;
+        const count = parseCount();
+        index = saved;
+        return count !== null;
     }
-    const maxLengthMatch = lowerQuery.match(/shorter than (\d+) characters?/);
-    if (maxLengthMatch) {
-        // "shorter than 20" -> max_length: 19
-        filters.max_length = String(parseInt(maxLengthMatch[1]) - 1);
+
+    const atGroupEnd = () => !peek() || peek().text === ')' || peekWord('or');
+
+    function parseAnd() {
+        const nodes = [];
+        for (;;) {
+            skipFillers();
+            if (atGroupEnd()) break;
+            if (peekWord('and') || peek().text === ',') {
+                index += 1;
+                continue;
+            }
+            const start = peek();
+            const node = parseUnary();
+            if (node) {
+                nodes.push(node);
+            } else if (peek() === start) {
+                unrecognized.push({ token: start.raw, position: start.position });
+                index += 1;
+            } else if (atGroupEnd()) {
+                // e.g. a trailing "containing" with nothing after it
+                unrecognized.push({ token: start.raw, position: start.position, reason: 'incomplete condition' });
+            }
+        }
+        return and(nodes);
     }
-    
-    // Contains character check
-    const containsMatch = lowerQuery.match(/contains (the letter |the first vowel |the character )?([a-z])\b/);
-    if (containsMatch) {
-        let char = containsMatch[2];
-        if (lowerQuery.includes('first vowel')) char = 'a'; // Heuristic
-        filters.contains_character = char;
-    } else if (lowerQuery.includes('containing the letter z')) {
-        filters.contains_character = 'z';
+
+    function parseOr() {
+        const nodes = [parseAnd()];
+        while (peekWord('or')) {
+            index += 1;
+            nodes.push(parseAnd());
+        }
+        return or(nodes);
+    }
+
+    const parse = () => {
+        const groups = [parseOr()];
+        // Only a stray ")" stops parseOr before the end
+        while (peek()) {
+            unrecognized.push({ token: peek().raw, position: peek().position });
+            index += 1;
+            groups.push(parseOr());
+        }
+        return { tree: and(groups), unrecognized };
+    };
+
+    return { parse };
+};
+
+/**
+ * Parses a natural language query into a filter tree (see utils/filterTree.js),
+ * e.g. "palindromes with at least two words or containing z and q". Returns
+ * { tree, parsed_filters, explanation }; parsed_filters is the equivalent flat
+ * GET /strings filter set, or null when the query needs OR or repeated conditions.
+ * Throws QueryParseError.
+ */
+const parseNaturalLanguage = (query) => {
+    const { tree, unrecognized } = createParser(tokenize(query)).parse();
+
+    if (unrecognized.length) {
+        const list = unrecognized.map(({ token, position }) => `"${token}" at position ${position}`).join(', ');
+        throw new QueryParseError(400, `Unable to parse natural language query: unrecognized ${list}.`, { unrecognized });
     }
-    
-    // Conflict check
-    const minLen = parseInt(filters.min_length);
-    const maxLen = parseInt(filters.max_length);
-    if (!isNaN(minLen) && !isNaN(maxLen) && minLen > maxLen) {
-        throw new Error('Query parsed but resulted in conflicting length filters');
+    if (!tree) {
+        throw new QueryParseError(400, 'Unable to parse natural language query into filters.');
     }
 
-    if (Object.keys(filters).length === 0) {
-        throw new Error('Unable to parse natural language query into filters.');
+    const conflict = findConflict(tree);
+    if (conflict) {
+        throw new QueryParseError(422, `Query parsed but resulted in conflicting or impossible ${conflict} filters.`, {
+            filter_tree: tree,
+        });
     }
 
-    return filters;
+    return {
+        tree,
+        parsed_filters: toFlatFilters(tree),
+        explanation: describe(tree),
+    };
 };
 
 module.exports = {
+    QueryParseError,
     parseNaturalLanguage,
+    tokenize,
 };
@@ -0,0 +1,64 @@
+const { FILTER_PARAMS, checkQueryParams } = require('./stringFilters');
+
+const SORT_FIELDS = ['created_at', 'length', 'word_count', 'unique_characters'];
+const ORDERS = ['asc', 'desc'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const LIST_PARAMS = [...FILTER_PARAMS, 'limit', 'cursor', 'sort_by', 'order'];
+
+const invalidCursor = () => new Error('cursor is invalid or expired; start again without it.');
+
+/**
+ * Cursors are opaque to clients: base64url JSON holding the sort they were
+ * issued for and the last row's sort value and id.
+ */
+const encodeCursor = (row, sortBy, order) => {
+    const value = sortBy === 'created_at' ? new Date(row.created_at).toISOString() : row[sortBy];
+    return Buffer.from(JSON.stringify({ sort_by: sortBy, order, value, id: row.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortBy, order) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        throw invalidCursor();
+    }
+    if (!decoded || typeof decoded.id !== 'string' || decoded.value === undefined) throw invalidCursor();
+    if (decoded.sort_by !== sortBy || decoded.order !== order) {
+        throw new Error('cursor was issued for a different sort_by/order; repeat those parameters or drop the cursor.');
+    }
+    return { value: decoded.value, id: decoded.id };
+};
+
+// Typos in GET /strings params would otherwise silently widen the result
+const checkListParams = (query) => checkQueryParams(query, LIST_PARAMS);
+
+/**
+ * Validates the paging and sorting params of GET /strings into the options
+ * the repositories' find() takes: { sortBy, order, limit, after }.
+ */
+const parseListOptions = (query) => {
+    const sortBy = query.sort_by === undefined ? 'created_at' : query.sort_by;
+    if (!SORT_FIELDS.includes(sortBy)) throw new Error(`sort_by must be one of: ${SORT_FIELDS.join(', ')}.`);
+
+    const order = query.order === undefined ? 'desc' : String(query.order).toLowerCase();
+    if (!ORDERS.includes(order)) throw new Error('order must be asc or desc.');
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new Error(`limit must be an integer between 1 and ${MAX_LIMIT}.`);
+    }
+
+    const after = query.cursor === undefined || query.cursor === '' ? null : decodeCursor(String(query.cursor), sortBy, order);
+    return { sortBy, order, limit, after };
+};
+
+module.exports = {
+    SORT_FIELDS,
+    checkListParams,
+    encodeCursor,
+    parseListOptions,
+};
@@ -0,0 +1,107 @@
+/**
+ * String similarity measures for GET /strings/-/similar. Every method scores
+ * a pair between 0 (nothing in common) and 1 (identical for that measure).
+ */
+
+// Edit distance over UTF-16 code units (what the `length` property counts),
+// keeping only two rows of the matrix
+const levenshteinDistance = (source, target) => {
+    if (source.length === 0) return target.length;
+    if (target.length === 0) return source.length;
+
+    let previous = Array.from({ length: target.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= source.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= target.length; j++) {
+            const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[target.length];
+};
+
+// Trigrams the way pg_trgm builds them: lowercased words padded with two spaces in front and one behind
+const trigrams = (value) => {
+    const set = new Set();
+    for (const word of value.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+        const chars = [' ', ' ', ...word, ' '];
+        for (let i = 0; i + 3 <= chars.length; i++) set.add(chars.slice(i, i + 3).join(''));
+    }
+    return set;
+};
+
+const cosine = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (const [char, count] of Object.entries(a)) {
+        dot += count * (b[char] || 0);
+        normA += count * count;
+    }
+    for (const count of Object.values(b)) normB += count * count;
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Scoring is O(query length x stored length) per candidate for edit distance,
+// so both the query and the number of candidates scored are capped
+const MAX_VALUE_LENGTH = 256;
+const MAX_CANDIDATES = 500;
+
+/**
+ * Each method takes the query (its value and frequency map) and a stored row,
+ * and returns { score } plus anything method-specific.
+ */
+const METHODS = {
+    levenshtein: (query, row) => {
+        const distance = levenshteinDistance(query.value, row.value);
+        const longest = Math.max(query.value.length, row.value.length);
+        return { score: longest === 0 ? 1 : round(1 - distance / longest), distance };
+    },
+    trigram: (query, row) => {
+        const a = query.trigrams || (query.trigrams = trigrams(query.value));
+        const b = trigrams(row.value);
+        if (a.size === 0 && b.size === 0) return { score: query.value === row.value ? 1 : 0 };
+        let shared = 0;
+        for (const trigram of a) if (b.has(trigram)) shared += 1;
+        return { score: round(shared / (a.size + b.size - shared)) };
+    },
+    cosine: (query, row) => ({ score: round(cosine(query.char_freq_map, row.char_freq_map || {})) }),
+};
+
+/**
+ * Length bounds a stored string must fall within to reach minScore with
+ * `method`, so the repository can skip hopeless candidates. Only edit distance
+ * bounds length; the other methods return {}.
+ */
+const candidateLengthFilters = (method, value, minScore) => {
+    if (method !== 'levenshtein' || minScore <= 0) return {};
+    // distance >= |lenA - lenB| and score = 1 - distance / max(lenA, lenB)
+    // (the epsilon keeps float error like 10 * 0.3 = 3.0000000000000004 from tightening the bounds)
+    const length = value.length;
+    return {
+        min_length: Math.ceil(length * minScore - 1e-9),
+        max_length: Math.floor(length / minScore + 1e-9),
+    };
+};
+
+/**
+ * Scores rows against the query and returns the best `limit` at or above
+ * minScore, highest first (ties: as rows come in, nearest length then newest).
+ */
+const rankBySimilarity = (method, query, rows, { limit, minScore }) => rows
+    .map((row) => ({ row, similarity: METHODS[method](query, row) }))
+    .filter(({ similarity }) => similarity.score >= minScore)
+    .sort((a, b) => b.similarity.score - a.similarity.score)
+    .slice(0, limit);
+
+module.exports = {
+    MAX_CANDIDATES,
+    MAX_VALUE_LENGTH,
+    SIMILARITY_METHODS: Object.keys(METHODS),
+    candidateLengthFilters,
+    levenshteinDistance,
+    rankBySimilarity,
+};
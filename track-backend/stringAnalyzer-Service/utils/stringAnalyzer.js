@@ -1,5 +1,144 @@
 const crypto = require('crypto');
 
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Letters without accents, so "é" counts as a vowel and "ç" as a consonant
+const stripMarks = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+
+// Counted per grapheme, so a flag or a skin-toned emoji is one emoji
+const classifyGrapheme = (grapheme) => {
+    if (/\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(grapheme)) return 'emoji';
+    if (/^\p{L}/u.test(grapheme)) return 'letters';
+    if (/^\p{N}/u.test(grapheme)) return 'digits';
+    if (/^\s/u.test(grapheme)) return 'whitespace';
+    if (/^\p{P}/u.test(grapheme)) return 'punctuation';
+    if (/^\p{S}/u.test(grapheme)) return 'symbols';
+    return 'other';
+};
+
+const countCharacterClasses = (value) => {
+    const classes = { letters: 0, digits: 0, whitespace: 0, punctuation: 0, symbols: 0, emoji: 0, other: 0 };
+    for (const { segment } of graphemes.segment(value)) {
+        classes[classifyGrapheme(segment)] += 1;
+    }
+    return classes;
+};
+
+// A sentence ends at . ! ? (or the end of the text) and must contain a letter or digit
+const countSentences = (value) => value
+    .split(/[.!?…]+(?=\s|$)/u)
+    .filter((sentence) => /[\p{L}\p{N}]/u.test(sentence))
+    .length;
+
+// Shannon entropy in bits per character (code point), rounded to 4 decimals
+const shannonEntropy = (value) => {
+    const counts = new Map();
+    let total = 0;
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+        total += 1;
+    }
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / total;
+        entropy -= p * Math.log2(p);
+    }
+    return Math.round(entropy * 10000) / 10000 || 0;
+};
+
+// Longest whitespace-separated word without surrounding punctuation; first one wins ties
+const findLongestWord = (value) => {
+    let longest = null;
+    for (const raw of value.split(/\s+/)) {
+        const word = raw.replace(/^[\p{P}\p{S}]+|[\p{P}\p{S}]+$/gu, '');
+        if (word && (!longest || [...word].length > [...longest].length)) longest = word;
+    }
+    return longest;
+};
+
+/**
+ * Letters and digits, lowercased, unaccented and sorted: two strings are
+ * anagrams when their signatures match ("Dormitory" / "dirty room").
+ */
+const anagramSignature = (value) => [...stripMarks(value.toLowerCase()).replace(/[^\p{L}\p{N}]/gu, '')]
+    .sort()
+    .join('');
+
+// Scripts we recognize, checked in this order
+const SCRIPTS = {
+    latin: /\p{Script=Latin}/u,
+    cyrillic: /\p{Script=Cyrillic}/u,
+    greek: /\p{Script=Greek}/u,
+    arabic: /\p{Script=Arabic}/u,
+    hebrew: /\p{Script=Hebrew}/u,
+    devanagari: /\p{Script=Devanagari}/u,
+    thai: /\p{Script=Thai}/u,
+    hangul: /\p{Script=Hangul}/u,
+    han: /\p{Script=Han}/u,
+    kana: /\p{Script=Hiragana}|\p{Script=Katakana}/u,
+};
+
+// Languages written (almost) only in one script
+const SCRIPT_LANGUAGES = {
+    cyrillic: 'ru',
+    greek: 'el',
+    arabic: 'ar',
+    hebrew: 'he',
+    devanagari: 'hi',
+    thai: 'th',
+    hangul: 'ko',
+    han: 'zh',
+    kana: 'ja',
+};
+
+// Frequent short words that tell Latin-script languages apart (no one-letter words: too ambiguous)
+const STOPWORDS = {
+    en: ['the', 'and', 'is', 'of', 'to', 'in', 'it', 'you', 'that', 'was', 'for', 'on', 'are', 'with', 'this'],
+    es: ['el', 'la', 'los', 'las', 'de', 'que', 'en', 'al', 'es', 'por', 'con', 'una', 'para', 'del', 'pero'],
+    fr: ['le', 'la', 'les', 'de', 'et', 'est', 'un', 'une', 'du', 'des', 'que', 'pas', 'pour', 'dans', 'avec'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'ich', 'mit', 'den', 'auf', 'zu', 'sie', 'es'],
+    it: ['il', 'lo', 'la', 'gli', 'di', 'che', 'nel', 'un', 'una', 'per', 'non', 'sono', 'con', 'del', 'della'],
+    pt: ['os', 'as', 'de', 'que', 'um', 'no', 'na', 'ao', 'uma', 'para', 'com', 'não', 'do', 'da', 'em'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'ik', 'is', 'niet', 'dat', 'op', 'te', 'zijn', 'met', 'voor', 'je'],
+};
+
+/**
+ * The script most of the letters are written in (`mixed` when none covers
+ * half of them, null without letters).
+ */
+const detectScript = (value) => {
+    const counts = {};
+    let letters = 0;
+    for (const char of value) {
+        if (!/\p{L}/u.test(char)) continue;
+        letters += 1;
+        const script = Object.keys(SCRIPTS).find((name) => SCRIPTS[name].test(char)) || 'other';
+        counts[script] = (counts[script] || 0) + 1;
+    }
+    if (letters === 0) return null;
+
+    const [top, topCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    // Japanese mixes kanji (han) and kana; any kana means the text is Japanese
+    if (counts.kana && (top === 'han' || top === 'kana')) return 'kana';
+    return topCount / letters >= 0.5 ? top : 'mixed';
+};
+
+/**
+ * A best-effort ISO 639-1 guess: from the script where it implies one language,
+ * from common words for Latin text. Null when there is no clear winner.
+ */
+const detectLanguageHint = (value, script) => {
+    if (SCRIPT_LANGUAGES[script]) return SCRIPT_LANGUAGES[script];
+    if (script !== 'latin') return null;
+
+    const words = value.toLowerCase().match(/\p{L}+/gu) || [];
+    const scores = Object.entries(STOPWORDS)
+        .map(([language, stopwords]) => [language, words.filter((word) => stopwords.includes(word)).length])
+        .sort((a, b) => b[1] - a[1]);
+    const [[best, bestScore], [, runnerUp]] = scores;
+    return bestScore > 0 && bestScore > runnerUp ? best : null;
+};
+
 const analyzeString = (value) => {
     // 1. SHA-256 Hash
     const sha256_hash = crypto.createHash('sha256').update(value, 'utf8').digest('hex');
@@ -18,6 +157,14 @@ const analyzeString = (value) => {
     // 4. Word Count (robust: split by one or more whitespace, handles leading/trailing)
     const word_count = value.trim() === '' ? 0 : value.trim().split(/\s+/).length;
 
+    // 5. Vowels & Consonants (Latin letters, accents ignored)
+    const latin = stripMarks(value.toLowerCase());
+    const vowel_count = (latin.match(/[aeiou]/g) || []).length;
+    const consonant_count = (latin.match(/[b-df-hj-np-tv-z]/g) || []).length;
+
+    // 6. Script & Language Hint
+    const script = detectScript(value);
+
     const properties = {
         length: value.length,
         is_palindrome,
@@ -25,6 +172,15 @@ const analyzeString = (value) => {
         word_count,
         sha256_hash,
         character_frequency_map: char_freq_map,
+        vowel_count,
+        consonant_count,
+        sentence_count: countSentences(value),
+        character_classes: countCharacterClasses(value),
+        entropy: shannonEntropy(value),
+        longest_word: findLongestWord(value),
+        anagram_signature: anagramSignature(value),
+        script,
+        language_hint: detectLanguageHint(value, script),
     };
 
     return {
@@ -35,6 +191,15 @@ const analyzeString = (value) => {
     };
 };
 
+// Analysis results in the shape the repositories store (one column per property)
+const toRecord = (value) => {
+    const { id, properties } = analyzeString(value);
+    const { sha256_hash, character_frequency_map, ...columns } = properties;
+    return { id, value, ...columns, char_freq_map: character_frequency_map };
+};
+
 module.exports = {
     analyzeString,
+    anagramSignature,
+    toRecord,
 };
@@ -0,0 +1,116 @@
+/**
+ * Numeric filters: query param -> [column, comparison, type]. Shared by the
+ * repositories so every driver applies them the same way.
+ */
+const RANGE_FILTERS = {
+    min_length: ['length', '>=', 'integer'],
+    max_length: ['length', '<=', 'integer'],
+    word_count: ['word_count', '=', 'integer'],
+    min_vowel_count: ['vowel_count', '>=', 'integer'],
+    max_vowel_count: ['vowel_count', '<=', 'integer'],
+    min_consonant_count: ['consonant_count', '>=', 'integer'],
+    max_consonant_count: ['consonant_count', '<=', 'integer'],
+    sentence_count: ['sentence_count', '=', 'integer'],
+    min_entropy: ['entropy', '>=', 'number'],
+    max_entropy: ['entropy', '<=', 'number'],
+};
+
+// Boolean filters on the character_classes counts: query param -> class
+const CLASS_FILTERS = {
+    has_digits: 'digits',
+    has_punctuation: 'punctuation',
+    has_emoji: 'emoji',
+};
+
+// Exact, case-insensitive matches on text columns
+const TEXT_FILTERS = ['script', 'language_hint', 'anagram_signature'];
+
+// Every query param parseFilters understands
+const FILTER_PARAMS = [
+    'is_palindrome',
+    'contains_character',
+    ...Object.keys(RANGE_FILTERS),
+    ...Object.keys(CLASS_FILTERS),
+    ...TEXT_FILTERS,
+    'tag',
+];
+
+/**
+ * Rejects query params outside `allowed` and params given more than once
+ * (Express parses those into arrays).
+ */
+const checkQueryParams = (query, allowed) => {
+    const unknown = Object.keys(query).filter((param) => !allowed.includes(param));
+    if (unknown.length) {
+        throw new Error(`Unknown query parameter(s): ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}.`);
+    }
+    const repeated = Object.keys(query).filter((param) => typeof query[param] !== 'string');
+    if (repeated.length) throw new Error(`Query parameter(s) given more than once: ${repeated.join(', ')}.`);
+};
+
+const parseBoolean = (value, param) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new Error(`${param} must be a boolean (true/false).`);
+};
+
+// Whole-string decimal notation only: parseInt would take "5abc" as 5
+const NUMBER_PATTERNS = {
+    integer: /^-?\d+$/,
+    number: /^-?(\d+(\.\d*)?|\.\d+)$/,
+};
+
+const parseNumber = (value, param, type) => {
+    const text = typeof value === 'number' ? String(value) : value;
+    if (typeof text !== 'string' || !NUMBER_PATTERNS[type].test(text.trim())) {
+        throw new Error(`${param} must be ${type === 'integer' ? 'an integer' : 'a number'}.`);
+    }
+    return Number(text);
+};
+
+/**
+ * Validates structured (or NLP-parsed) query filters into the normalized form
+ * the repositories understand: booleans and numbers instead of query strings.
+ */
+const parseFilters = (filters) => {
+    const parsed = {};
+
+    // Filter Validation
+    if (filters.is_palindrome !== undefined) {
+        parsed.is_palindrome = parseBoolean(filters.is_palindrome, 'is_palindrome');
+    }
+    for (const [param, [, , type]] of Object.entries(RANGE_FILTERS)) {
+        if (filters[param] === undefined || filters[param] === '') continue;
+        parsed[param] = parseNumber(filters[param], param, type);
+    }
+    if (filters.contains_character) {
+        const char = filters.contains_character;
+        if (typeof char !== 'string' || char.length !== 1) throw new Error('contains_character must be a single character string.');
+        parsed.contains_character = char;
+    }
+    for (const param of Object.keys(CLASS_FILTERS)) {
+        if (filters[param] !== undefined) parsed[param] = parseBoolean(filters[param], param);
+    }
+    for (const param of TEXT_FILTERS) {
+        if (filters[param] === undefined) continue;
+        if (typeof filters[param] !== 'string' || filters[param].trim() === '') {
+            throw new Error(`${param} must be a non-empty string.`);
+        }
+        parsed[param] = filters[param].trim().toLowerCase();
+    }
+    if (filters.tag !== undefined) {
+        if (typeof filters.tag !== 'string' || filters.tag.trim() === '') throw new Error('tag must be a non-empty string.');
+        parsed.tag = filters.tag.trim().toLowerCase();
+    }
+
+    return parsed;
+};
+
+module.exports = {
+    RANGE_FILTERS,
+    CLASS_FILTERS,
+    TEXT_FILTERS,
+    FILTER_PARAMS,
+    checkQueryParams,
+    parseFilters,
+};